@@ -0,0 +1,230 @@
+/**
+ * Outage Alerting
+ * Sends alerts to a generic webhook, a Slack-compatible webhook and/or email
+ * when Pis go offline or the proxy turns unhealthy. Short flaps are debounced,
+ * long outages get reminders and recoveries are announced.
+ */
+
+const axios = require('axios');
+const { sendMail, isMailConfigured } = require('./mailer');
+const { logger, getHealthStatus } = require('./middleware/monitoring');
+
+const SLACK_ICONS = {
+  critical: ':red_circle:',
+  warning: ':large_orange_circle:',
+  resolved: ':large_green_circle:',
+  info: ':information_source:'
+};
+
+function formatDuration(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+}
+
+// Channels enabled by configuration; each sends one alert and throws on failure
+function configuredChannels() {
+  const channels = [];
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    channels.push({
+      name: 'webhook',
+      send: alert => axios.post(process.env.ALERT_WEBHOOK_URL, alert, { timeout: 10000 })
+    });
+  }
+
+  if (process.env.ALERT_SLACK_WEBHOOK_URL) {
+    channels.push({
+      name: 'slack',
+      send: alert => axios.post(process.env.ALERT_SLACK_WEBHOOK_URL, {
+        text: `${SLACK_ICONS[alert.severity] || ''} ${alert.message}`.trim()
+      }, { timeout: 10000 })
+    });
+  }
+
+  const emailTo = (process.env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+  if (emailTo.length > 0 && isMailConfigured()) {
+    channels.push({
+      name: 'email',
+      send: alert => sendMail({
+        to: emailTo,
+        subject: `[Music Proxy] ${alert.message}`,
+        text: [
+          alert.message,
+          '',
+          `Type: ${alert.type}`,
+          `Severity: ${alert.severity}`,
+          alert.since ? `Since: ${alert.since}` : null,
+          alert.durationMs !== null ? `Duration: ${formatDuration(alert.durationMs)}` : null,
+          `Time: ${alert.at}`
+        ].filter(line => line !== null).join('\n')
+      })
+    });
+  }
+
+  return channels;
+}
+
+class Alerter {
+  constructor({ piDiscovery }) {
+    this.piDiscovery = piDiscovery;
+    this.debounce = parseInt(process.env.ALERT_DEBOUNCE_MS) || 60000;
+    this.reminderInterval = process.env.ALERT_REMINDER_INTERVAL !== undefined
+      ? parseInt(process.env.ALERT_REMINDER_INTERVAL) || 0
+      : 60 * 60 * 1000;
+    this.healthInterval = parseInt(process.env.ALERT_HEALTH_INTERVAL) || 60000;
+    this.channels = configuredChannels();
+    this.incidents = new Map(); // key -> { subject, since, alerted, pendingTimer, reminderTimer }
+    this.healthTimer = null;
+  }
+
+  start() {
+    this.piDiscovery.on('status-change', change => this.handleStatusChange(change));
+    this.piDiscovery.on('removed', ({ piId }) => this.dismiss(`pi:${piId}`));
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthInterval);
+    this.healthTimer.unref();
+
+    const names = this.channels.map(channel => channel.name);
+    console.log(`🚨 Alerting ${names.length > 0 ? `via ${names.join(', ')}` : 'has no channels configured'}`);
+  }
+
+  stop() {
+    clearInterval(this.healthTimer);
+    for (const incident of this.incidents.values()) {
+      clearTimeout(incident.pendingTimer);
+      clearInterval(incident.reminderTimer);
+    }
+  }
+
+  handleStatusChange({ piId, name, status, previousStatus }) {
+    // A Pi first seen offline has no transition to report
+    if (!previousStatus) return;
+
+    // Degraded still fails requests, so only a fully online Pi closes an outage
+    const subject = { kind: 'pi', id: piId, name };
+    if (status === 'offline') {
+      this.markDown(`pi:${piId}`, subject);
+    } else if (status === 'online') {
+      this.markUp(`pi:${piId}`);
+    }
+  }
+
+  checkHealth() {
+    const subject = { kind: 'proxy', id: 'proxy', name: 'Music Player Proxy' };
+    if (getHealthStatus().status === 'unhealthy') {
+      this.markDown('proxy', subject);
+    } else {
+      this.markUp('proxy');
+    }
+  }
+
+  // Start an incident; it only alerts if still down after the debounce period
+  markDown(key, subject) {
+    if (this.incidents.has(key)) return;
+
+    const incident = { subject, since: Date.now(), alerted: false, pendingTimer: null, reminderTimer: null };
+    incident.pendingTimer = setTimeout(() => {
+      incident.pendingTimer = null;
+      incident.alerted = true;
+      this.notify(subject.kind === 'pi' ? 'pi.offline' : 'proxy.unhealthy', incident);
+
+      if (this.reminderInterval > 0) {
+        incident.reminderTimer = setInterval(() => {
+          this.notify(subject.kind === 'pi' ? 'pi.still_offline' : 'proxy.still_unhealthy', incident);
+        }, this.reminderInterval);
+        incident.reminderTimer.unref();
+      }
+    }, this.debounce);
+    incident.pendingTimer.unref();
+
+    this.incidents.set(key, incident);
+  }
+
+  markUp(key) {
+    const incident = this.incidents.get(key);
+    if (!incident) return;
+
+    this.incidents.delete(key);
+    clearTimeout(incident.pendingTimer);
+    clearInterval(incident.reminderTimer);
+
+    if (incident.alerted) {
+      this.notify(incident.subject.kind === 'pi' ? 'pi.recovered' : 'proxy.recovered', incident);
+    } else {
+      logger.info('alert.suppressed', { subject: incident.subject, durationMs: Date.now() - incident.since });
+    }
+  }
+
+  // Drop an incident without announcing a recovery (e.g. the Pi was removed)
+  dismiss(key) {
+    const incident = this.incidents.get(key);
+    if (!incident) return;
+
+    this.incidents.delete(key);
+    clearTimeout(incident.pendingTimer);
+    clearInterval(incident.reminderTimer);
+  }
+
+  describe(type, incident) {
+    const { subject } = incident;
+    const duration = formatDuration(Date.now() - incident.since);
+    const messages = {
+      'pi.offline': [`${subject.name} is offline`, 'critical'],
+      'pi.still_offline': [`${subject.name} is still offline (${duration})`, 'critical'],
+      'pi.recovered': [`${subject.name} is back online after ${duration}`, 'resolved'],
+      'proxy.unhealthy': [`${subject.name} is unhealthy`, 'warning'],
+      'proxy.still_unhealthy': [`${subject.name} is still unhealthy (${duration})`, 'warning'],
+      'proxy.recovered': [`${subject.name} is healthy again after ${duration}`, 'resolved'],
+      'test': ['Test alert from the Music Player Proxy', 'info']
+    };
+    const [message, severity] = messages[type];
+
+    return {
+      type,
+      severity,
+      message,
+      subject,
+      since: incident.since ? new Date(incident.since).toISOString() : null,
+      durationMs: incident.since ? Date.now() - incident.since : null,
+      at: new Date().toISOString()
+    };
+  }
+
+  // Deliver to every channel; one failing channel doesn't stop the others
+  async notify(type, incident) {
+    const alert = this.describe(type, incident);
+    logger.info('alert.sent', { type, subject: alert.subject, channels: this.channels.map(channel => channel.name) });
+
+    return Promise.all(this.channels.map(async channel => {
+      try {
+        await channel.send(alert);
+        return { channel: channel.name, success: true };
+      } catch (error) {
+        logger.warn('alert.delivery_failed', { type, channel: channel.name, error: error.message });
+        return { channel: channel.name, success: false, error: error.message };
+      }
+    }));
+  }
+
+  sendTest() {
+    return this.notify('test', { subject: { kind: 'proxy', id: 'proxy', name: 'Music Player Proxy' }, since: null });
+  }
+
+  getState() {
+    return {
+      channels: this.channels.map(channel => channel.name),
+      debounceMs: this.debounce,
+      reminderIntervalMs: this.reminderInterval,
+      incidents: Array.from(this.incidents.entries()).map(([key, incident]) => ({
+        key,
+        subject: incident.subject,
+        since: new Date(incident.since).toISOString(),
+        alerted: incident.alerted
+      }))
+    };
+  }
+}
+
+module.exports = Alerter;
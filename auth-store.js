@@ -0,0 +1,273 @@
+/**
+ * Persistent storage for user accounts and access requests
+ * Backed by a JSON file with schema versioning, in the same spirit as pis.json
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Each migration upgrades the stored document from `version - 1` to `version`.
+// Add new entries to the end; never edit one that has shipped.
+const MIGRATIONS = [
+  {
+    version: 1,
+    up: (data) => ({
+      ...data,
+      users: data.users || {},
+      accessRequests: data.accessRequests || {}
+    })
+  },
+  {
+    version: 2,
+    up: (data) => ({
+      ...data,
+      sessions: data.sessions || {},
+      revokedTokens: data.revokedTokens || {}
+    })
+  },
+  {
+    version: 3,
+    up: (data) => ({
+      ...data,
+      apiKeys: data.apiKeys || {}
+    })
+  },
+  {
+    version: 4,
+    up: (data) => ({
+      ...data,
+      enrollmentTokens: data.enrollmentTokens || {}
+    })
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class AuthStore {
+  constructor(filePath = process.env.AUTH_DB_PATH || path.join(__dirname, 'auth.json')) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.accessRequests = new Map();
+    this.sessions = new Map();
+    this.revokedTokens = new Map();
+    this.apiKeys = new Map();
+    this.enrollmentTokens = new Map();
+    this.writeQueue = Promise.resolve();
+    this.ready = this.load();
+    // Callers see the failure when they await ready; the server refuses to start on it
+    this.ready.catch(() => {});
+  }
+
+  async load() {
+    let data = {};
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read auth store ${this.filePath}: ${error.message}`);
+      }
+      console.log('No existing auth store found, starting fresh');
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    if (fromVersion > SCHEMA_VERSION) {
+      throw new Error(`Auth store schema v${fromVersion} is newer than supported v${SCHEMA_VERSION}`);
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+    for (const migration of pending) {
+      data = migration.up(data);
+      data.schemaVersion = migration.version;
+    }
+
+    this.users = new Map(Object.entries(data.users));
+    this.accessRequests = new Map(Object.entries(data.accessRequests));
+    this.sessions = new Map(Object.entries(data.sessions));
+    this.revokedTokens = new Map(Object.entries(data.revokedTokens));
+    this.apiKeys = new Map(Object.entries(data.apiKeys));
+    this.enrollmentTokens = new Map(Object.entries(data.enrollmentTokens));
+
+    // A fresh store is written on its first change, not on load
+    if (pending.length > 0 && fromVersion > 0) {
+      await this.persist();
+      console.log(`Migrated auth store from schema v${fromVersion} to v${SCHEMA_VERSION}`);
+    }
+    console.log(`Loaded ${this.users.size} users and ${this.accessRequests.size} access requests`);
+  }
+
+  // Serialize writes and replace the file atomically so a crash never leaves half a document
+  persist() {
+    const write = async () => {
+      const document = {
+        schemaVersion: SCHEMA_VERSION,
+        users: Object.fromEntries(this.users),
+        accessRequests: Object.fromEntries(this.accessRequests),
+        sessions: Object.fromEntries(this.sessions),
+        revokedTokens: Object.fromEntries(this.revokedTokens),
+        apiKeys: Object.fromEntries(this.apiKeys),
+        enrollmentTokens: Object.fromEntries(this.enrollmentTokens),
+        lastUpdated: new Date().toISOString()
+      };
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(document, null, 2), { mode: 0o600 });
+      await fs.rename(tmpPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  // Users (keyed by lower-cased email)
+  async getUser(email) {
+    await this.ready;
+    return this.users.get(email) || null;
+  }
+
+  async getUserById(id) {
+    await this.ready;
+    return Array.from(this.users.values()).find(u => u.id === id) || null;
+  }
+
+  async listUsers() {
+    await this.ready;
+    return Array.from(this.users.values());
+  }
+
+  async saveUser(user) {
+    await this.ready;
+    this.users.set(user.email, user);
+    await this.persist();
+    return user;
+  }
+
+  async deleteUser(email) {
+    await this.ready;
+    const existed = this.users.delete(email);
+    if (existed) {
+      await this.persist();
+    }
+    return existed;
+  }
+
+  // Access requests (keyed by request ID)
+  async getRequest(requestId) {
+    await this.ready;
+    return this.accessRequests.get(requestId) || null;
+  }
+
+  async findRequestByEmail(email) {
+    await this.ready;
+    return Array.from(this.accessRequests.values()).find(r => r.email === email) || null;
+  }
+
+  async listRequests() {
+    await this.ready;
+    return Array.from(this.accessRequests.values());
+  }
+
+  async saveRequest(request) {
+    await this.ready;
+    this.accessRequests.set(request.id, request);
+    await this.persist();
+    return request;
+  }
+
+  // Refresh-token sessions (keyed by session ID)
+  async getSession(sessionId) {
+    await this.ready;
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async findSessionByRefreshHash(refreshTokenHash) {
+    await this.ready;
+    return Array.from(this.sessions.values()).find(s => s.refreshTokenHash === refreshTokenHash) || null;
+  }
+
+  async listSessions(userId) {
+    await this.ready;
+    return Array.from(this.sessions.values()).filter(s => s.userId === userId);
+  }
+
+  async saveSession(session) {
+    await this.ready;
+    this.sessions.set(session.id, session);
+    await this.persist();
+    return session;
+  }
+
+  // Revoked access tokens (JWT ID -> expiry in epoch seconds)
+  async isTokenRevoked(jti) {
+    await this.ready;
+    return this.revokedTokens.has(jti);
+  }
+
+  async revokeToken(jti, expiresAt) {
+    await this.ready;
+    this.revokedTokens.set(jti, expiresAt);
+    this.pruneExpired();
+    await this.persist();
+  }
+
+  // API keys for machine clients (keyed by key ID, secret stored as a hash)
+  async getApiKey(keyId) {
+    await this.ready;
+    return this.apiKeys.get(keyId) || null;
+  }
+
+  async findApiKeyByHash(keyHash) {
+    await this.ready;
+    return Array.from(this.apiKeys.values()).find(k => k.keyHash === keyHash) || null;
+  }
+
+  async listApiKeys() {
+    await this.ready;
+    return Array.from(this.apiKeys.values());
+  }
+
+  async saveApiKey(apiKey) {
+    await this.ready;
+    this.apiKeys.set(apiKey.id, apiKey);
+    await this.persist();
+    return apiKey;
+  }
+
+  async getEnrollmentToken(tokenId) {
+    await this.ready;
+    return this.enrollmentTokens.get(tokenId) || null;
+  }
+
+  async findEnrollmentTokenByHash(tokenHash) {
+    await this.ready;
+    return Array.from(this.enrollmentTokens.values()).find(t => t.tokenHash === tokenHash) || null;
+  }
+
+  async listEnrollmentTokens() {
+    await this.ready;
+    return Array.from(this.enrollmentTokens.values());
+  }
+
+  async saveEnrollmentToken(enrollmentToken) {
+    await this.ready;
+    this.enrollmentTokens.set(enrollmentToken.id, enrollmentToken);
+    await this.persist();
+    return enrollmentToken;
+  }
+
+  // Drop revocations for tokens that have expired anyway, and dead sessions
+  pruneExpired() {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this.revokedTokens) {
+      if (expiresAt * 1000 < now) {
+        this.revokedTokens.delete(jti);
+      }
+    }
+    for (const [sessionId, session] of this.sessions) {
+      if (new Date(session.expiresAt).getTime() < now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+module.exports = AuthStore;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
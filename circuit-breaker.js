@@ -0,0 +1,96 @@
+/**
+ * Per-Pi Circuit Breaker
+ * closed: requests flow; open: requests are refused until resetTimeout passes;
+ * half-open: a single trial request decides whether to close or re-open
+ *
+ * Callers check isOpen() (no side effects) to refuse early, then acquire() right
+ * before contacting the Pi. Every acquire() must end in recordSuccess(),
+ * recordFailure() or release(), or a half-open circuit never gets its answer.
+ */
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, resetTimeout = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether requests are refused right now; changes nothing
+  isOpen() {
+    if (this.state === 'closed') {
+      return false;
+    }
+    if (this.state === 'open' && Date.now() - this.openedAt < this.resetTimeout) {
+      return true;
+    }
+    // Half-open, or open with the timeout passed: only the one trial may go out
+    return this.state === 'half-open' && this.trialInFlight;
+  }
+
+  // Claim the right to send a request (moves open -> half-open once the timeout has passed)
+  acquire() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Give back an acquired request that never reached the Pi (rejected before sending)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Open the circuit straight away (e.g. a Pi stopped sending heartbeats)
+  trip() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.trialInFlight = false;
+  }
+
+  // Milliseconds until an open circuit allows a trial request
+  retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(this.resetTimeout - (Date.now() - this.openedAt), 0);
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
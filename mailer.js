@@ -0,0 +1,47 @@
+/**
+ * SMTP Mailer
+ * Shared email transport for alerts and notifications, configured from SMTP_* variables
+ */
+
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (!transport) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      // Allow plain local relays and test receivers without certificates
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      connectionTimeout: 10000
+    });
+  }
+  return transport;
+}
+
+// Send one message; to may be a string or an array of addresses
+async function sendMail({ to, subject, text, html }) {
+  if (!isMailConfigured()) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+  return getTransport().sendMail({
+    from: process.env.SMTP_FROM || 'Music Player Proxy <music-proxy@localhost>',
+    to: Array.isArray(to) ? to.join(', ') : to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = {
+  sendMail,
+  isMailConfigured
+};
@@ -0,0 +1,227 @@
+/**
+ * Audit Trail Middleware
+ * Records who did what to which player, as JSON lines in logs/audit.log
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(process.env.LOG_DIR || path.join(__dirname, '..', 'logs'), 'audit.log');
+const AUDIT_LOG_MAX_SIZE = parseInt(process.env.AUDIT_LOG_MAX_SIZE) || 10 * 1024 * 1024; // 10MB
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+const SENSITIVE_FIELDS = /password|secret|token|key/i;
+const MAX_PAGE_SIZE = 200;
+
+const AUDIT_LOG_DIR = path.dirname(AUDIT_LOG_FILE);
+const AUDIT_LOG_BASE = path.basename(AUDIT_LOG_FILE, '.log');
+
+let logDirReady = null;
+let writeQueue = Promise.resolve();
+
+// Strip credentials before a request body is written to the audit log
+function sanitizePayload(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(body).map(([field, value]) =>
+      [field, SENSITIVE_FIELDS.test(field) ? '[redacted]' : value]
+    )
+  );
+}
+
+function describeActor(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    email: user.email || null,
+    name: user.name || null,
+    role: user.role,
+    apiKeyId: user.apiKeyId || null
+  };
+}
+
+// Rotated audit files, newest first
+async function listRotatedFiles() {
+  const files = await fs.promises.readdir(AUDIT_LOG_DIR);
+  return files
+    .filter(file => file.startsWith(`${AUDIT_LOG_BASE}-`) && file.endsWith('.log'))
+    .sort()
+    .reverse()
+    .map(file => path.join(AUDIT_LOG_DIR, file));
+}
+
+// Move a full audit log aside and drop rotated files past the retention period
+async function rotateAuditLog() {
+  let stats;
+  try {
+    stats = await fs.promises.stat(AUDIT_LOG_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (stats.size < AUDIT_LOG_MAX_SIZE) return;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const rotatedPath = path.join(AUDIT_LOG_DIR, `${AUDIT_LOG_BASE}-${timestamp}.log`);
+  // Already rotated this millisecond; try again on the next write
+  if (fs.existsSync(rotatedPath)) return;
+  await fs.promises.rename(AUDIT_LOG_FILE, rotatedPath);
+
+  const cutoff = Date.now() - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const filePath of await listRotatedFiles()) {
+    if ((await fs.promises.stat(filePath)).mtime.getTime() < cutoff) {
+      await fs.promises.unlink(filePath);
+      console.log(`🗑️ Removed expired audit log: ${path.basename(filePath)}`);
+    }
+  }
+}
+
+// Append an audit entry
+async function recordAudit(entry) {
+  const record = {
+    id: `audit-${crypto.randomUUID()}`,
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+
+  // Serialize appends so a rotation never races another write
+  writeQueue = writeQueue.then(async () => {
+    try {
+      if (!logDirReady) {
+        logDirReady = fs.promises.mkdir(AUDIT_LOG_DIR, { recursive: true });
+      }
+      await logDirReady;
+      await rotateAuditLog();
+      await fs.promises.appendFile(AUDIT_LOG_FILE, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error('Failed to write audit log:', error);
+    }
+  });
+  await writeQueue;
+
+  return record;
+}
+
+// Middleware: audit the request once the response has been sent
+function auditAction(action, details = {}) {
+  return (req, res, next) => {
+    const originalJson = res.json;
+    res.json = function(body) {
+      res.locals.auditBody = body;
+      return originalJson.call(this, body);
+    };
+
+    res.on('finish', () => {
+      const body = res.locals.auditBody || {};
+      const succeeded = res.statusCode < 400 && body.success !== false;
+
+      recordAudit({
+        action,
+        actor: describeActor(req.user),
+        piId: req.params.piId || body.piId || null,
+        target: Object.keys(req.params).length > 0 ? { ...req.params } : null,
+        ...details,
+        payload: sanitizePayload(req.body),
+        result: succeeded ? 'success' : 'failure',
+        status: res.statusCode,
+        error: succeeded ? null : body.error || null,
+        ip: req.ip
+      });
+    });
+
+    next();
+  };
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.userId && (!entry.actor || entry.actor.id !== filters.userId)) return false;
+  if (filters.email && (!entry.actor || entry.actor.email !== filters.email)) return false;
+  if (filters.piId && entry.piId !== filters.piId) return false;
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.command && entry.command !== filters.command) return false;
+  if (filters.result && entry.result !== filters.result) return false;
+  if (filters.from && entry.timestamp < filters.from) return false;
+  if (filters.to && entry.timestamp > filters.to) return false;
+  return true;
+}
+
+// Matching entries in one audit file, oldest first
+async function readMatches(filePath, filters) {
+  const matches = [];
+  try {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (matchesFilters(entry, filters)) {
+          matches.push(entry);
+        }
+      } catch (error) {
+        // Skip partially written lines
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return matches;
+}
+
+// Query the audit log, newest first. Files are read one at a time, so only
+// one file's matches and the requested page are held in memory.
+async function queryAudit(filters = {}) {
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+  const normalized = {
+    ...filters,
+    from: filters.from ? new Date(filters.from).toISOString() : null,
+    to: filters.to ? new Date(filters.to).toISOString() : null
+  };
+
+  let rotated = [];
+  try {
+    rotated = await listRotatedFiles();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const start = (page - 1) * limit;
+  const entries = [];
+  let total = 0;
+
+  for (const filePath of [AUDIT_LOG_FILE, ...rotated]) {
+    // A rotated file was last written when it was rotated, so it holds nothing newer
+    if (normalized.from && filePath !== AUDIT_LOG_FILE) {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtime.toISOString() < normalized.from) break;
+    }
+
+    const matches = await readMatches(filePath, normalized);
+    for (let i = matches.length - 1; i >= 0; i--, total++) {
+      if (total >= start && entries.length < limit) {
+        entries.push(matches[i]);
+      }
+    }
+  }
+
+  return {
+    entries,
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+}
+
+module.exports = {
+  auditAction,
+  recordAudit,
+  queryAudit
+};
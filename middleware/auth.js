@@ -2,49 +2,214 @@
  * Authentication and Authorization Middleware
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const AuthStore = require('../auth-store');
+const Notifier = require('../notifier');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
-
-// In-memory user store (in production, use a database)
-const users = new Map();
-const accessRequests = new Map();
-
-// Initialize with default admin user
-if (!users.has('admin')) {
-  users.set('admin', {
-    id: 'admin-1',
-    email: 'admin@resort.com',
-    name: 'System Administrator',
-    role: 'admin',
-    password: 'admin123', // Change in production!
-    approvedAt: new Date().toISOString()
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Secrets that were rotated out but whose access tokens should still verify until they expire
+const JWT_PREVIOUS_SECRETS = (process.env.JWT_PREVIOUS_SECRETS || '')
+  .split(',')
+  .map(secret => secret.trim())
+  .filter(Boolean);
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'mpk_';
+const API_KEY_TOUCH_INTERVAL = 60 * 1000; // Persist lastUsedAt at most once a minute
+const ENROLLMENT_TOKEN_PREFIX = 'mpe_';
+
+// Role model: each role includes everything the roles before it can do
+const ROLES = ['viewer', 'operator', 'admin'];
+const ROLE_PERMISSIONS = {
+  viewer: ['player:read'],
+  operator: ['player:read', 'player:control'],
+  admin: ['player:read', 'player:control', 'admin:manage']
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Profile fields end up in auth.json and notification templates, so only strings are stored.
+// Optional fields may also be left out or cleared with null.
+function hasStringFields(required, optional = []) {
+  return required.every(value => typeof value === 'string') &&
+    optional.every(value => value === undefined || value === null || typeof value === 'string');
+}
+
+// Normalize a { piIds, locations, allPis } assignment; returns null if the input is malformed
+function parseAssignments(input = {}) {
+  const { piIds = [], locations = [], allPis = false } = input || {};
+  const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+  if (!isStringList(piIds) || !isStringList(locations) || typeof allPis !== 'boolean') {
+    return null;
+  }
+  return { piIds, locations, allPis };
+}
+
+// Admins reach every Pi; everyone else only what they are assigned (nothing by default)
+function canAccessPi(user, pi) {
+  if (!user) return false;
+  if (hasPermission(user.role, 'admin:manage')) return true;
+
+  const { piIds = [], locations = [], allPis = false } = user.assignments || {};
+  if (allPis) return true;
+
+  return piIds.includes(pi.id) || locations.includes(pi.location);
+}
+
+// Persistent user and access request store
+const authStore = new AuthStore();
+const notifier = new Notifier();
+
+// Admins to tell about new access requests: NOTIFY_ADMIN_EMAILS plus every enabled admin account
+async function adminRecipients() {
+  const configured = (process.env.NOTIFY_ADMIN_EMAILS || '').split(',').map(address => address.trim()).filter(Boolean);
+  const admins = (await authStore.listUsers())
+    .filter(user => user.role === 'admin' && !user.disabled)
+    .map(user => user.email);
+  return Array.from(new Set([...configured, ...admins].map(address => address.toLowerCase())));
+}
+
+// Queue a notification without letting an outbox problem fail the request
+async function notify(template, to, variables) {
+  const appUrl = process.env.APP_URL || '';
+  try {
+    await notifier.enqueue(template, to, {
+      ...variables,
+      appUrl,
+      appUrlSuffix: appUrl ? ` at ${appUrl}` : ''
+    });
+  } catch (error) {
+    console.error(`Failed to queue ${template} notification:`, error.message);
+  }
+}
+
+// Password hashing (scrypt, stored as "scrypt$salt$hash")
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
   });
 }
 
-// JWT token generation
-function generateToken(user) {
+function verifyPassword(password, passwordHash) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+// Public view of a user record (never includes the password hash)
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    approvedAt: user.approvedAt
+  };
+}
+
+// Admin view of a user record (adds account management fields)
+function toAdminUser(user) {
+  return {
+    ...toPublicUser(user),
+    organization: user.organization || null,
+    phone: user.phone || null,
+    assignments: user.assignments || null,
+    disabled: Boolean(user.disabled),
+    disabledAt: user.disabledAt || null,
+    updatedAt: user.updatedAt || null
+  };
+}
+
+// JWT token generation (short-lived access token bound to a refresh session)
+function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       id: user.id, 
       email: user.email, 
       name: user.name, 
-      role: user.role 
+      role: user.role,
+      sid: sessionId
     },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
   );
 }
 
-// JWT token verification
+// JWT token verification (current secret first, then any rotated-out ones)
 function verifyToken(token) {
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch (error) {
-    return null;
+  for (const secret of [JWT_SECRET, ...JWT_PREVIOUS_SECRETS]) {
+    try {
+      return jwt.verify(token, secret);
+    } catch (error) {
+      // Try the next secret
+    }
+  }
+  return null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// Start a refresh session and issue the first token pair
+async function issueTokens(user, req) {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+  const session = {
+    id: `sess-${crypto.randomUUID()}`,
+    userId: user.id,
+    user: toPublicUser(user),
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+
+  await authStore.saveSession(session);
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken
+  };
+}
+
+// Revoke every session belonging to a user; returns how many were active
+async function revokeUserSessions(userId) {
+  const sessions = await authStore.listSessions(userId);
+  const active = sessions.filter(session => !session.revokedAt);
+  for (const session of active) {
+    session.revokedAt = new Date().toISOString();
+    await authStore.saveSession(session);
   }
+  return active.length;
 }
 
 // Rate limiting for auth endpoints
@@ -56,31 +221,161 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Authentication middleware
-function authenticateToken(req, res, next) {
+// Public view of an API key record (never includes the key hash)
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    role: apiKey.role,
+    assignments: apiKey.assignments,
+    createdAt: apiKey.createdAt,
+    createdBy: apiKey.createdBy,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+function toPublicEnrollmentToken(enrollmentToken) {
+  return {
+    id: enrollmentToken.id,
+    name: enrollmentToken.name,
+    prefix: enrollmentToken.prefix,
+    location: enrollmentToken.location,
+    autoApprove: enrollmentToken.autoApprove,
+    createdAt: enrollmentToken.createdAt,
+    createdBy: enrollmentToken.createdBy,
+    lastUsedAt: enrollmentToken.lastUsedAt,
+    revokedAt: enrollmentToken.revokedAt
+  };
+}
+
+// Pi self-registration and heartbeats (Bearer enrollment token); sets req.enrollment
+async function authenticateEnrollment(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = authHeader && authHeader.split(' ')[1];
 
-  if (!token) {
+  if (!token || !token.startsWith(ENROLLMENT_TOKEN_PREFIX)) {
     return res.status(401).json({
       success: false,
-      error: 'Access token required'
+      error: 'Enrollment token required'
     });
   }
 
+  try {
+    const enrollmentToken = await authStore.findEnrollmentTokenByHash(hashToken(token));
+    if (!enrollmentToken || enrollmentToken.revokedAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or revoked enrollment token'
+      });
+    }
+
+    const now = Date.now();
+    if (!enrollmentToken.lastUsedAt || now - new Date(enrollmentToken.lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL) {
+      enrollmentToken.lastUsedAt = new Date(now).toISOString();
+      await authStore.saveEnrollmentToken(enrollmentToken);
+    }
+
+    req.enrollment = enrollmentToken;
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+}
+
+// API key authentication for kiosks and scripts (X-API-Key header)
+async function resolveApiKey(key) {
+  const apiKey = await authStore.findApiKeyByHash(hashToken(String(key)));
+  if (!apiKey || apiKey.revokedAt) {
+    return { status: 403, error: 'Invalid or revoked API key' };
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > API_KEY_TOUCH_INTERVAL) {
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    await authStore.saveApiKey(apiKey);
+  }
+
+  return {
+    user: {
+      id: apiKey.id,
+      name: apiKey.name,
+      role: apiKey.role,
+      assignments: apiKey.assignments,
+      apiKeyId: apiKey.id
+    }
+  };
+}
+
+// Who is calling (Bearer access token or X-API-Key), checked against the current
+// session and account state. Returns { user } or { status, error }.
+async function resolveCaller(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return resolveApiKey(apiKey);
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return { status: 401, error: 'Access token required' };
+  }
+
   const user = verifyToken(token);
-  if (!user) {
-    return res.status(403).json({
+  if (!user || !user.sid) {
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+
+  const session = await authStore.getSession(user.sid);
+  if (!session || session.revokedAt || await authStore.isTokenRevoked(user.jti)) {
+    return { status: 403, error: 'Token has been revoked' };
+  }
+
+  // Apply the account's current state so role changes and disabling take effect immediately
+  if (user.id !== 'admin-1') {
+    const account = await authStore.getUserById(user.id);
+    if (!account || account.disabled) {
+      return { status: 403, error: account ? 'Account is disabled' : 'Account no longer exists' };
+    }
+    user.role = account.role;
+    user.assignments = account.assignments || null;
+  } else {
+    user.assignments = null;
+  }
+
+  return { user };
+}
+
+// Authentication middleware (Bearer access token or X-API-Key)
+async function authenticateToken(req, res, next) {
+  let result;
+  try {
+    result = await resolveCaller(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({
       success: false,
-      error: 'Invalid or expired token'
+      error: result.error
     });
   }
 
-  req.user = user;
+  req.user = result.user;
   next();
 }
 
-// Role-based authorization middleware
+// Re-check the credentials of a long-lived request (event streams); the current user or null
+async function revalidateCaller(req) {
+  const result = await resolveCaller(req);
+  return result.user || null;
+}
+
+// Role-based authorization middleware (roles are ranked viewer < operator < admin)
 function requireRole(role) {
   return (req, res, next) => {
     if (!req.user) {
@@ -90,7 +385,7 @@ function requireRole(role) {
       });
     }
 
-    if (req.user.role !== role && req.user.role !== 'admin') {
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
       return res.status(403).json({
         success: false,
         error: `Insufficient privileges. Required: ${role}`
@@ -101,9 +396,30 @@ function requireRole(role) {
   };
 }
 
+// Permission-based authorization middleware
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Insufficient privileges. Required permission: ${permission}`
+      });
+    }
+
+    next();
+  };
+}
+
 // Admin-only middleware
 function requireAdmin(req, res, next) {
-  if (!req.user || req.user.role !== 'admin') {
+  if (!req.user || !hasPermission(req.user.role, 'admin:manage')) {
     return res.status(403).json({
       success: false,
       error: 'Admin access required'
@@ -113,7 +429,7 @@ function requireAdmin(req, res, next) {
 }
 
 // Login endpoint handler
-function handleLogin(req, res) {
+async function handleLogin(req, res) {
   const { password, email } = req.body;
 
   if (!password) {
@@ -123,7 +439,33 @@ function handleLogin(req, res) {
     });
   }
 
-  // Simple password authentication (matches Pi deployment)
+  // Approved users log in with their own email and password
+  const account = email ? await authStore.getUser(email.toLowerCase()) : null;
+  if (account && account.passwordHash) {
+    const valid = await verifyPassword(password, account.passwordHash);
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (account.disabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is disabled'
+      });
+    }
+
+    const user = toPublicUser(account);
+    return res.json({
+      success: true,
+      ...await issueTokens(user, req),
+      user
+    });
+  }
+
+  // Fall back to the shared admin password (matches Pi deployment)
   const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
   
   if (password === adminPassword) {
@@ -135,11 +477,11 @@ function handleLogin(req, res) {
       approvedAt: new Date().toISOString()
     };
     
-    const token = generateToken(user);
+    const tokens = await issueTokens(user, req);
     
     res.json({
       success: true,
-      token,
+      ...tokens,
       user
     });
   } else {
@@ -150,23 +492,147 @@ function handleLogin(req, res) {
   }
 }
 
+// Exchange a refresh token for a new token pair (the refresh token is rotated)
+async function handleRefresh(req, res) {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      error: 'Refresh token is required'
+    });
+  }
+
+  const session = await authStore.findSessionByRefreshHash(hashToken(String(refreshToken)));
+  if (!session || session.revokedAt || new Date(session.expiresAt).getTime() < Date.now()) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired refresh token'
+    });
+  }
+
+  // Re-read approved accounts so the new token carries the current role
+  const account = session.userId === 'admin-1' ? session.user : await authStore.getUserById(session.userId);
+  if (!account || account.disabled) {
+    session.revokedAt = new Date().toISOString();
+    await authStore.saveSession(session);
+    return res.status(401).json({
+      success: false,
+      error: account ? 'Account is disabled' : 'Account no longer exists'
+    });
+  }
+
+  const user = toPublicUser(account);
+  const nextRefreshToken = newRefreshToken();
+  session.user = user;
+  session.refreshTokenHash = hashToken(nextRefreshToken);
+  session.lastUsedAt = new Date().toISOString();
+  await authStore.saveSession(session);
+
+  res.json({
+    success: true,
+    token: generateToken(user, session.id),
+    refreshToken: nextRefreshToken,
+    user
+  });
+}
+
+// Logout: revoke the presented access token and its session
+async function handleLogout(req, res) {
+  const authHeader = req.headers['authorization'];
+  const accessToken = authHeader && authHeader.split(' ')[1];
+  const { refreshToken } = req.body;
+
+  const claims = accessToken ? verifyToken(accessToken) : null;
+  const session = claims && claims.sid
+    ? await authStore.getSession(claims.sid)
+    : refreshToken && await authStore.findSessionByRefreshHash(hashToken(String(refreshToken)));
+
+  if (!claims && !session) {
+    return res.status(400).json({
+      success: false,
+      error: 'A valid access token or refresh token is required'
+    });
+  }
+
+  if (claims && claims.jti) {
+    await authStore.revokeToken(claims.jti, claims.exp);
+  }
+
+  if (session && !session.revokedAt) {
+    session.revokedAt = new Date().toISOString();
+    await authStore.saveSession(session);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+}
+
+// Admin: Kill all sessions for a user
+async function handleRevokeUserSessions(req, res) {
+  const { userId } = req.params;
+
+  const revoked = await revokeUserSessions(userId);
+
+  console.log(`🔒 Revoked ${revoked} session(s) for user ${userId}`);
+
+  res.json({
+    success: true,
+    message: 'Sessions revoked',
+    revoked
+  });
+}
+
 // Access request endpoint handler
-function handleAccessRequest(req, res) {
-  const { name, email, reason, organization, phone } = req.body;
+async function handleAccessRequest(req, res) {
+  const { name, email, reason, organization, phone, password } = req.body;
+
+  if (!name || !email || !reason || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, email, reason, and password are required'
+    });
+  }
 
-  if (!name || !email || !reason) {
+  if (!hasStringFields([name, email, reason], [organization, phone])) {
     return res.status(400).json({
       success: false,
-      error: 'Name, email, and reason are required'
+      error: 'Name, email, reason, organization, and phone must be strings'
+    });
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+  }
+
+  const normalizedEmail = email.toLowerCase();
+  if (await authStore.getUser(normalizedEmail)) {
+    return res.status(409).json({
+      success: false,
+      error: 'An account already exists for this email'
+    });
+  }
+
+  const requests = await authStore.listRequests();
+  if (requests.some(r => r.email === normalizedEmail && r.status === 'pending')) {
+    return res.status(409).json({
+      success: false,
+      error: 'An access request for this email is already pending'
     });
   }
 
-  const requestId = `req-${Date.now()}`;
+  const requestId = `req-${crypto.randomUUID()}`;
   const request = {
     id: requestId,
     name,
-    email,
+    email: normalizedEmail,
     reason,
+    passwordHash: await hashPassword(password),
     organization: organization || null,
     phone: phone || null,
     status: 'pending',
@@ -175,13 +641,20 @@ function handleAccessRequest(req, res) {
     userAgent: req.headers['user-agent']
   };
 
-  accessRequests.set(requestId, request);
+  await authStore.saveRequest(request);
 
-  // In production, send email notification to admin
   console.log(`📧 New access request from ${name} (${email})`);
   console.log(`   Reason: ${reason}`);
   console.log(`   Request ID: ${requestId}`);
 
+  await notify('access_request.admin', await adminRecipients(), {
+    name,
+    email: normalizedEmail,
+    reason,
+    organization: organization || 'Not provided',
+    requestId
+  });
+
   res.json({
     success: true,
     message: 'Access request submitted successfully',
@@ -190,7 +663,7 @@ function handleAccessRequest(req, res) {
 }
 
 // Check access request status
-function handleAccessStatus(req, res) {
+async function handleAccessStatus(req, res) {
   const { email } = req.query;
 
   if (!email) {
@@ -200,7 +673,7 @@ function handleAccessStatus(req, res) {
     });
   }
 
-  const request = Array.from(accessRequests.values()).find(r => r.email === email);
+  const request = await authStore.findRequestByEmail(String(email).toLowerCase());
   
   if (!request) {
     return res.status(404).json({
@@ -222,8 +695,8 @@ function handleAccessStatus(req, res) {
 }
 
 // Admin: List all access requests
-function handleListRequests(req, res) {
-  const requests = Array.from(accessRequests.values()).map(r => ({
+async function handleListRequests(req, res) {
+  const requests = (await authStore.listRequests()).map(r => ({
     id: r.id,
     name: r.name,
     email: r.email,
@@ -241,11 +714,26 @@ function handleListRequests(req, res) {
 }
 
 // Admin: Approve access request
-function handleApproveRequest(req, res) {
+async function handleApproveRequest(req, res) {
   const { requestId } = req.params;
-  const { role = 'operator' } = req.body;
+  const { role = 'operator', piIds, locations, allPis } = req.body;
+
+  if (!isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
 
-  const request = accessRequests.get(requestId);
+  const assignments = parseAssignments({ piIds, locations, allPis });
+  if (!assignments) {
+    return res.status(400).json({
+      success: false,
+      error: 'piIds and locations must be arrays of strings and allPis a boolean'
+    });
+  }
+
+  const request = await authStore.getRequest(requestId);
   if (!request) {
     return res.status(404).json({
       success: false,
@@ -260,26 +748,45 @@ function handleApproveRequest(req, res) {
     });
   }
 
+  // The email may have been registered directly since the request came in
+  if (await authStore.getUser(request.email)) {
+    return res.status(409).json({
+      success: false,
+      error: 'An account already exists for this email'
+    });
+  }
+
   // Create user account
   const user = {
-    id: `user-${Date.now()}`,
+    id: `user-${crypto.randomUUID()}`,
     email: request.email,
     name: request.name,
     role: role,
+    assignments,
+    passwordHash: request.passwordHash,
     organization: request.organization,
     phone: request.phone,
     approvedAt: new Date().toISOString()
   };
 
-  users.set(user.email, user);
+  delete request.passwordHash;
   request.status = 'approved';
   request.processedAt = new Date().toISOString();
 
-  // In production, send approval email
+  await authStore.saveUser(user);
+  await authStore.saveRequest(request);
+
   console.log(`✅ Access request approved for ${request.name} (${request.email})`);
   console.log(`   Role: ${role}`);
   console.log(`   User ID: ${user.id}`);
 
+  await notify('access_request.approved', request.email, {
+    name: request.name,
+    email: request.email,
+    role,
+    requestId
+  });
+
   res.json({
     success: true,
     message: 'Access request approved',
@@ -287,17 +794,395 @@ function handleApproveRequest(req, res) {
       id: user.id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      assignments: user.assignments
     }
   });
 }
 
+// Admin: Replace a user's Pi/location assignments
+async function handleUpdateAssignments(req, res) {
+  const { userId } = req.params;
+
+  const assignments = parseAssignments(req.body);
+  if (!assignments) {
+    return res.status(400).json({
+      success: false,
+      error: 'piIds and locations must be arrays of strings and allPis a boolean'
+    });
+  }
+
+  const user = await authStore.getUserById(userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  user.assignments = assignments;
+  await authStore.saveUser(user);
+
+  console.log(`📍 Updated assignments for ${user.email}: ${assignments.allPis ? 'all Pis' : `${assignments.piIds.length} Pi(s), ${assignments.locations.length} location(s)`}`);
+
+  res.json({
+    success: true,
+    message: 'Assignments updated',
+    assignments
+  });
+}
+
+// Admin: List user accounts
+async function handleListUsers(req, res) {
+  const users = (await authStore.listUsers()).map(toAdminUser);
+
+  res.json({
+    success: true,
+    users
+  });
+}
+
+// Admin: Get a single user account
+async function handleGetUser(req, res) {
+  const user = await authStore.getUserById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    user: toAdminUser(user)
+  });
+}
+
+// Admin: Create a user account directly, without an access request
+async function handleCreateUser(req, res) {
+  const { name, email, password, role = 'operator', organization, phone, piIds, locations, allPis } = req.body;
+
+  if (!name || !email || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, email, and password are required'
+    });
+  }
+
+  if (!hasStringFields([name, email], [organization, phone])) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, email, organization, and phone must be strings'
+    });
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+  }
+
+  if (!isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  const assignments = parseAssignments({ piIds, locations, allPis });
+  if (!assignments) {
+    return res.status(400).json({
+      success: false,
+      error: 'piIds and locations must be arrays of strings and allPis a boolean'
+    });
+  }
+
+  const normalizedEmail = email.toLowerCase();
+  if (await authStore.getUser(normalizedEmail)) {
+    return res.status(409).json({
+      success: false,
+      error: 'An account already exists for this email'
+    });
+  }
+
+  const user = {
+    id: `user-${crypto.randomUUID()}`,
+    email: normalizedEmail,
+    name,
+    role,
+    assignments,
+    passwordHash: await hashPassword(password),
+    organization: organization || null,
+    phone: phone || null,
+    approvedAt: new Date().toISOString()
+  };
+
+  await authStore.saveUser(user);
+
+  console.log(`👤 Created user ${user.email} (${user.role})`);
+
+  res.status(201).json({
+    success: true,
+    message: 'User created',
+    user: toAdminUser(user)
+  });
+}
+
+// Admin: Update name, contact details or role
+async function handleUpdateUser(req, res) {
+  const { name, role, organization, phone } = req.body;
+
+  const user = await authStore.getUserById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  if (role !== undefined && !isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  // The name can be left out but not cleared
+  if (!hasStringFields(name === undefined ? [] : [name], [organization, phone]) || name === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, organization, and phone must be strings'
+    });
+  }
+
+  if (name !== undefined) user.name = name;
+  if (role !== undefined) user.role = role;
+  if (organization !== undefined) user.organization = organization;
+  if (phone !== undefined) user.phone = phone;
+  user.updatedAt = new Date().toISOString();
+
+  await authStore.saveUser(user);
+
+  console.log(`✏️ Updated user ${user.email} (${user.role})`);
+
+  res.json({
+    success: true,
+    message: 'User updated',
+    user: toAdminUser(user)
+  });
+}
+
+// Admin: Disable or re-enable an account
+async function handleSetUserDisabled(req, res, disabled) {
+  const user = await authStore.getUserById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  user.disabled = disabled;
+  user.disabledAt = disabled ? new Date().toISOString() : null;
+  user.updatedAt = new Date().toISOString();
+  await authStore.saveUser(user);
+
+  if (disabled) {
+    await revokeUserSessions(user.id);
+  }
+
+  console.log(`${disabled ? '🚫 Disabled' : '✅ Re-enabled'} user ${user.email}`);
+
+  res.json({
+    success: true,
+    message: disabled ? 'User disabled' : 'User enabled',
+    user: toAdminUser(user)
+  });
+}
+
+// Admin: Delete an account and end its sessions
+async function handleDeleteUser(req, res) {
+  const user = await authStore.getUserById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  await revokeUserSessions(user.id);
+  await authStore.deleteUser(user.email);
+
+  console.log(`🗑️ Deleted user ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'User deleted'
+  });
+}
+
+// Admin: List API keys
+async function handleListApiKeys(req, res) {
+  const apiKeys = (await authStore.listApiKeys()).map(toPublicApiKey);
+
+  res.json({
+    success: true,
+    apiKeys
+  });
+}
+
+// Admin: Issue an API key (the plaintext key is only returned here)
+async function handleCreateApiKey(req, res) {
+  const { name, role = 'operator', piIds, locations, allPis } = req.body;
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name is required'
+    });
+  }
+
+  if (!isValidRole(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  const assignments = parseAssignments({ piIds, locations, allPis });
+  if (!assignments) {
+    return res.status(400).json({
+      success: false,
+      error: 'piIds and locations must be arrays of strings and allPis a boolean'
+    });
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = {
+    id: `key-${crypto.randomUUID()}`,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+    role,
+    assignments,
+    createdAt: new Date().toISOString(),
+    createdBy: req.user.email || req.user.id,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await authStore.saveApiKey(apiKey);
+
+  console.log(`🔑 Issued API key "${name}" (${role}) as ${apiKey.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this key now; it will not be shown again',
+    key,
+    apiKey: toPublicApiKey(apiKey)
+  });
+}
+
+// Admin: Revoke an API key
+async function handleRevokeApiKey(req, res) {
+  const apiKey = await authStore.getApiKey(req.params.keyId);
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date().toISOString();
+    await authStore.saveApiKey(apiKey);
+    console.log(`🔒 Revoked API key "${apiKey.name}" (${apiKey.id})`);
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    apiKey: toPublicApiKey(apiKey)
+  });
+}
+
+// Admin: List enrollment tokens (never includes the token itself)
+async function handleListEnrollmentTokens(req, res) {
+  const enrollmentTokens = (await authStore.listEnrollmentTokens()).map(toPublicEnrollmentToken);
+
+  res.json({
+    success: true,
+    enrollmentTokens
+  });
+}
+
+// Admin: Issue an enrollment token for a property (the plaintext token is only returned here)
+async function handleCreateEnrollmentToken(req, res) {
+  const { name, location, autoApprove = false } = req.body;
+
+  if (!name || !location) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name and location are required'
+    });
+  }
+
+  const token = `${ENROLLMENT_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const enrollmentToken = {
+    id: `enroll-${crypto.randomUUID()}`,
+    name,
+    prefix: token.slice(0, ENROLLMENT_TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    location,
+    autoApprove: Boolean(autoApprove),
+    createdAt: new Date().toISOString(),
+    createdBy: req.user.email || req.user.id,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await authStore.saveEnrollmentToken(enrollmentToken);
+
+  console.log(`🔑 Issued enrollment token "${name}" for ${location} as ${enrollmentToken.id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this token now; it will not be shown again',
+    token,
+    enrollmentToken: toPublicEnrollmentToken(enrollmentToken)
+  });
+}
+
+// Admin: Revoke an enrollment token (Pis enrolled with it can no longer send heartbeats)
+async function handleRevokeEnrollmentToken(req, res) {
+  const enrollmentToken = await authStore.getEnrollmentToken(req.params.tokenId);
+  if (!enrollmentToken) {
+    return res.status(404).json({
+      success: false,
+      error: 'Enrollment token not found'
+    });
+  }
+
+  if (!enrollmentToken.revokedAt) {
+    enrollmentToken.revokedAt = new Date().toISOString();
+    await authStore.saveEnrollmentToken(enrollmentToken);
+    console.log(`🔒 Revoked enrollment token "${enrollmentToken.name}" (${enrollmentToken.id})`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Enrollment token revoked',
+    enrollmentToken: toPublicEnrollmentToken(enrollmentToken)
+  });
+}
+
 // Admin: Reject access request
-function handleRejectRequest(req, res) {
+async function handleRejectRequest(req, res) {
   const { requestId } = req.params;
   const { reason } = req.body;
 
-  const request = accessRequests.get(requestId);
+  const request = await authStore.getRequest(requestId);
   if (!request) {
     return res.status(404).json({
       success: false,
@@ -312,14 +1197,22 @@ function handleRejectRequest(req, res) {
     });
   }
 
+  delete request.passwordHash;
   request.status = 'rejected';
   request.rejectionReason = reason || 'No reason provided';
   request.processedAt = new Date().toISOString();
+  await authStore.saveRequest(request);
 
-  // In production, send rejection email
   console.log(`❌ Access request rejected for ${request.name} (${request.email})`);
   console.log(`   Reason: ${request.rejectionReason}`);
 
+  await notify('access_request.rejected', request.email, {
+    name: request.name,
+    email: request.email,
+    rejectionReason: request.rejectionReason,
+    requestId
+  });
+
   res.json({
     success: true,
     message: 'Access request rejected'
@@ -341,15 +1234,44 @@ function getStatusMessage(status) {
 
 module.exports = {
   authenticateToken,
+  revalidateCaller,
   requireRole,
+  requirePermission,
   requireAdmin,
   authLimiter,
   handleLogin,
+  handleRefresh,
+  handleLogout,
+  handleRevokeUserSessions,
   handleAccessRequest,
   handleAccessStatus,
   handleListRequests,
   handleApproveRequest,
   handleRejectRequest,
+  handleUpdateAssignments,
+  handleListUsers,
+  handleGetUser,
+  handleCreateUser,
+  handleUpdateUser,
+  handleSetUserDisabled,
+  handleDeleteUser,
+  handleListApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey,
+  authenticateEnrollment,
+  handleListEnrollmentTokens,
+  handleCreateEnrollmentToken,
+  handleRevokeEnrollmentToken,
+  canAccessPi,
   generateToken,
-  verifyToken
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  revokeUserSessions,
+  isValidRole,
+  hasPermission,
+  ROLES,
+  ROLE_PERMISSIONS,
+  authStore,
+  notifier
 };
@@ -0,0 +1,102 @@
+/**
+ * Real-time Event Stream Middleware
+ * Pushes Pi status transitions, player state changes and control results
+ * to dashboards over Server-Sent Events
+ */
+
+const { EventEmitter } = require('events');
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keep proxies and load balancers from closing idle streams
+const SESSION_CHECK_INTERVAL = parseInt(process.env.EVENTS_SESSION_CHECK_INTERVAL) || 15 * 1000;
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+let nextEventId = 1;
+let subscribers = 0;
+
+// Publish an event to every connected client allowed to see its Pi
+function publishEvent(type, data) {
+  hub.emit('event', {
+    id: nextEventId++,
+    type,
+    data: { ...data, at: new Date().toISOString() }
+  });
+}
+
+function getSubscriberCount() {
+  return subscribers;
+}
+
+// Register a callback for when the number of connected clients changes
+function onSubscribersChange(listener) {
+  hub.on('subscribers', listener);
+}
+
+// EventSource cannot send headers, so allow the access token as a query parameter
+function tokenFromQuery(req, res, next) {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// SSE endpoint handler; canSee(user, piId) filters events per client. revalidate(req)
+// resolves to the client's current user, or null to end the stream (token expired,
+// logged out, account disabled); it runs every SESSION_CHECK_INTERVAL.
+function createEventStream(canSee, { revalidate = null } = {}) {
+  return (req, res) => {
+    let user = req.user;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const send = (event) => {
+      if (event.data.piId && !canSee(user, event.data.piId)) {
+        return;
+      }
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    const sessionCheck = revalidate && setInterval(async () => {
+      let current = null;
+      try {
+        current = await revalidate(req);
+      } catch (error) {
+        // Can't confirm the session, so treat it as gone; the client reconnects and re-authenticates
+      }
+      if (!current) {
+        res.write('event: session.expired\ndata: {}\n\n');
+        res.end();
+        return;
+      }
+      user = current;
+    }, SESSION_CHECK_INTERVAL);
+
+    hub.on('event', send);
+    subscribers++;
+    hub.emit('subscribers', subscribers);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearInterval(sessionCheck);
+      hub.off('event', send);
+      subscribers--;
+      hub.emit('subscribers', subscribers);
+    });
+  };
+}
+
+module.exports = {
+  publishEvent,
+  getSubscriberCount,
+  onSubscribersChange,
+  tokenFromQuery,
+  createEventStream
+};
@@ -4,12 +4,30 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const promClient = require('prom-client');
 
 // Log configuration
-const LOG_DIR = path.join(__dirname, '..', 'logs');
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '..', 'logs');
 const LOG_FILE = path.join(LOG_DIR, 'access.log');
 const ERROR_LOG_FILE = path.join(LOG_DIR, 'error.log');
 const MAX_LOG_SIZE = 10 * 1024 * 1024; // 10MB
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// LOG_LEVEL applies to the modules' console output as well: warn drops the informational
+// lines (startup, created/updated messages), error drops warnings too
+if (LOG_LEVELS[LOG_LEVEL] > LOG_LEVELS.info) {
+  console.log = () => {};
+}
+if (LOG_LEVELS[LOG_LEVEL] > LOG_LEVELS.warn) {
+  console.warn = () => {};
+}
+
+// Per-request context (request ID, upstream Pi calls) that follows async work
+const requestContext = new AsyncLocalStorage();
 
 // Metrics storage
 const metrics = {
@@ -23,6 +41,7 @@ const metrics = {
   },
   pis: {
     online: new Set(),
+    degraded: new Set(),
     offline: new Set(),
     lastSeen: new Map(),
     responseTime: new Map()
@@ -38,6 +57,59 @@ const metrics = {
   }
 };
 
+// Prometheus metrics, exposed at /metrics for scraping
+const registry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: registry, prefix: 'music_proxy_' });
+
+const PI_STATUSES = ['online', 'degraded', 'offline', 'pending'];
+
+const prometheus = {
+  httpRequests: new promClient.Counter({
+    name: 'music_proxy_http_requests_total',
+    help: 'HTTP requests handled by the proxy',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  }),
+  httpDuration: new promClient.Histogram({
+    name: 'music_proxy_http_request_duration_seconds',
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  }),
+  piUp: new promClient.Gauge({
+    name: 'music_proxy_pi_up',
+    help: 'Whether the Pi is reachable (1 = online or degraded, 0 = offline)',
+    labelNames: ['pi_id'],
+    registers: [registry]
+  }),
+  piStatus: new promClient.Gauge({
+    name: 'music_proxy_pi_status',
+    help: 'Current Pi status (1 for the active status label)',
+    labelNames: ['pi_id', 'status'],
+    registers: [registry]
+  }),
+  piResponseTime: new promClient.Gauge({
+    name: 'music_proxy_pi_response_time_seconds',
+    help: 'Latency of the most recent successful request to the Pi',
+    labelNames: ['pi_id'],
+    registers: [registry]
+  }),
+  piRequestDuration: new promClient.Histogram({
+    name: 'music_proxy_pi_request_duration_seconds',
+    help: 'Latency of successful requests to the Pi',
+    labelNames: ['pi_id'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  }),
+  authEvents: new promClient.Counter({
+    name: 'music_proxy_auth_events_total',
+    help: 'Authentication events',
+    labelNames: ['event'],
+    registers: [registry]
+  })
+};
+
 // Ensure log directory exists
 async function ensureLogDir() {
   try {
@@ -61,31 +133,75 @@ async function rotateLogFile(filePath) {
   }
 }
 
-// Write log entry
-async function writeLog(logFile, message) {
+// Write one JSON log line
+async function writeLog(logFile, entry) {
   try {
     await rotateLogFile(logFile);
-    const timestamp = new Date().toISOString();
-    await fs.appendFile(logFile, `[${timestamp}] ${message}\n`);
+    await fs.appendFile(logFile, JSON.stringify(entry) + '\n');
   } catch (error) {
     console.error('Failed to write log:', error);
   }
 }
 
+// Structured log: warnings and errors go to error.log, everything else to access.log.
+// Lines carry the current request ID when called while handling a request.
+function log(level, event, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    event,
+    requestId: context ? context.requestId : null,
+    ...fields
+  };
+  writeLog(LOG_LEVELS[level] >= LOG_LEVELS.warn ? ERROR_LOG_FILE : LOG_FILE, entry);
+}
+
+const logger = {
+  debug: (event, fields) => log('debug', event, fields),
+  info: (event, fields) => log('info', event, fields),
+  warn: (event, fields) => log('warn', event, fields),
+  error: (event, fields) => log('error', event, fields)
+};
+
+// Request ID of the request being handled, if any
+function getRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+// User (or API key) behind the current request, once authentication has run
+function getRequestUser() {
+  const context = requestContext.getStore();
+  return context && context.req.user ? context.req.user : null;
+}
+
+// Called by Pi calls so the access log line can show upstream latency and outcome
+function recordUpstream(call) {
+  const context = requestContext.getStore();
+  if (context) {
+    context.upstream.push(call);
+  }
+}
+
 // Request logging middleware
 function requestLogger(req, res, next) {
   const startTime = Date.now();
-  const timestamp = new Date().toISOString();
   const hour = new Date().getHours();
+
+  // Reuse the caller's X-Request-Id so a frontend error can be traced to the Pi call
+  const incomingId = req.headers['x-request-id'];
+  req.id = REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  const context = { requestId: req.id, upstream: [], req };
   
   // Update metrics
   metrics.requests.total++;
   metrics.requests.byHour.set(hour, (metrics.requests.byHour.get(hour) || 0) + 1);
   
-  // Log request start
-  const logMessage = `${req.method} ${req.path} - IP: ${req.ip} - User-Agent: ${req.headers['user-agent']}`;
-  writeLog(LOG_FILE, logMessage);
-  
   // Override res.end to log response
   const originalEnd = res.end;
   res.end = function(chunk, encoding) {
@@ -99,6 +215,11 @@ function requestLogger(req, res, next) {
       metrics.requests.error++;
     }
     
+    // Label by route pattern, not raw path, so Pi IDs and queries don't explode cardinality
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    prometheus.httpRequests.inc({ method: req.method, route, status });
+    prometheus.httpDuration.observe({ method: req.method, route }, duration / 1000);
+    
     metrics.requests.byEndpoint.set(
       `${req.method} ${req.path}`, 
       (metrics.requests.byEndpoint.get(`${req.method} ${req.path}`) || 0) + 1
@@ -118,75 +239,130 @@ function requestLogger(req, res, next) {
     }
     
     // Log response
-    const responseLog = `${req.method} ${req.path} - ${status} - ${duration}ms`;
-    writeLog(LOG_FILE, responseLog);
+    requestContext.run(context, () => logger.info('request', {
+      method: req.method,
+      path: req.path,
+      route,
+      status,
+      outcome: status < 400 ? 'success' : 'failure',
+      durationMs: duration,
+      userId: req.user ? req.user.id : null,
+      piId: req.params.piId || (context.upstream[0] ? context.upstream[0].piId : null),
+      upstream: context.upstream,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || null
+    }));
     
     // Call original end
     originalEnd.call(this, chunk, encoding);
   };
   
-  next();
+  requestContext.run(context, next);
+}
+
+// Credentials that may appear in query strings (e.g. EventSource's ?access_token=) never reach the logs
+function redactUrl(url) {
+  return String(url || '').replace(/([?&](?:access_token|token|api_key)=)[^&#]*/gi, '$1[REDACTED]');
 }
 
 // Error logging middleware
 function errorLogger(err, req, res, next) {
   const timestamp = new Date().toISOString();
-  const errorMessage = `ERROR: ${err.message} - Stack: ${err.stack} - URL: ${req.url} - Method: ${req.method} - IP: ${req.ip}`;
-  
-  writeLog(ERROR_LOG_FILE, errorMessage);
-  console.error('Application Error:', err);
+  logger.error('request.error', {
+    error: err.message,
+    stack: err.stack,
+    method: req.method,
+    url: redactUrl(req.url),
+    userId: req.user ? req.user.id : null,
+    ip: req.ip
+  });
   
   metrics.requests.error++;
-  
-  res.status(500).json({
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Only client errors that are safe to show (e.g. malformed JSON bodies) keep their message;
+  // anything else may carry file paths or upstream details, so clients get the request ID instead
+  const clientError = err.expose && err.status >= 400 && err.status < 500;
+  res.status(clientError ? err.status : 500).json({
     success: false,
-    error: 'Internal server error',
+    error: clientError ? err.message : 'Internal server error',
+    requestId: req.id,
     timestamp
   });
 }
 
 // PI status monitoring
 function updatePIStatus(piId, status, responseTime = null) {
-  if (status === 'online') {
-    metrics.pis.online.add(piId);
-    metrics.pis.offline.delete(piId);
+  metrics.pis.online.delete(piId);
+  metrics.pis.degraded.delete(piId);
+  metrics.pis.offline.delete(piId);
+
+  if (status === 'online' || status === 'degraded') {
+    metrics.pis[status].add(piId);
   } else {
     metrics.pis.offline.add(piId);
-    metrics.pis.online.delete(piId);
   }
   
   metrics.pis.lastSeen.set(piId, new Date().toISOString());
   
   if (responseTime !== null) {
     metrics.pis.responseTime.set(piId, responseTime);
+    prometheus.piResponseTime.set({ pi_id: piId }, responseTime / 1000);
+    prometheus.piRequestDuration.observe({ pi_id: piId }, responseTime / 1000);
   }
+
+  prometheus.piUp.set({ pi_id: piId }, status === 'online' || status === 'degraded' ? 1 : 0);
+  PI_STATUSES.forEach(known => {
+    prometheus.piStatus.set({ pi_id: piId, status: known }, known === status ? 1 : 0);
+  });
+}
+
+// Drop a removed Pi from the metrics so it stops showing up as down
+function forgetPI(piId) {
+  metrics.pis.online.delete(piId);
+  metrics.pis.degraded.delete(piId);
+  metrics.pis.offline.delete(piId);
+  metrics.pis.lastSeen.delete(piId);
+  metrics.pis.responseTime.delete(piId);
+
+  prometheus.piUp.remove({ pi_id: piId });
+  prometheus.piResponseTime.remove({ pi_id: piId });
+  prometheus.piRequestDuration.remove({ pi_id: piId });
+  PI_STATUSES.forEach(status => prometheus.piStatus.remove({ pi_id: piId, status }));
 }
 
 // Auth event monitoring
 function trackAuthEvent(event, data = {}) {
+  prometheus.authEvents.inc({ event });
+
   switch (event) {
     case 'login_success':
       metrics.auth.logins.success++;
-      writeLog(LOG_FILE, `AUTH: Login success - User: ${data.email} - IP: ${data.ip}`);
+      logger.info('auth.login_success', { email: data.email, ip: data.ip });
       break;
     case 'login_failed':
       metrics.auth.logins.failed++;
-      writeLog(LOG_FILE, `AUTH: Login failed - Email: ${data.email} - IP: ${data.ip}`);
+      logger.info('auth.login_failed', { email: data.email, ip: data.ip });
       break;
     case 'access_request':
       metrics.auth.requests.pending++;
-      writeLog(LOG_FILE, `AUTH: Access request - Name: ${data.name} - Email: ${data.email}`);
+      logger.info('auth.access_request', { name: data.name, email: data.email });
       break;
     case 'access_approved':
       metrics.auth.requests.pending--;
       metrics.auth.requests.approved++;
-      writeLog(LOG_FILE, `AUTH: Access approved - Email: ${data.email} - Role: ${data.role}`);
+      logger.info('auth.access_approved', { email: data.email, role: data.role });
       break;
     case 'access_rejected':
       metrics.auth.requests.pending--;
       metrics.auth.requests.rejected++;
-      writeLog(LOG_FILE, `AUTH: Access rejected - Email: ${data.email} - Reason: ${data.reason}`);
+      logger.info('auth.access_rejected', { email: data.email, reason: data.reason });
       break;
+    default:
+      logger.info(`auth.${event}`, data);
   }
 }
 
@@ -206,6 +382,7 @@ function getMetrics() {
     },
     pis: {
       online: Array.from(metrics.pis.online),
+      degraded: Array.from(metrics.pis.degraded),
       offline: Array.from(metrics.pis.offline),
       lastSeen: Object.fromEntries(metrics.pis.lastSeen),
       responseTime: Object.fromEntries(metrics.pis.responseTime)
@@ -240,12 +417,63 @@ function getHealthStatus() {
     },
     pis: {
       online: metrics.pis.online.size,
+      degraded: metrics.pis.degraded.size,
       offline: metrics.pis.offline.size,
-      total: metrics.pis.online.size + metrics.pis.offline.size
+      total: metrics.pis.online.size + metrics.pis.degraded.size + metrics.pis.offline.size
     }
   };
 }
 
+// Prometheus exposition of the registry
+async function getPrometheusMetrics() {
+  return {
+    contentType: registry.contentType,
+    body: await registry.metrics()
+  };
+}
+
+// IPv4 address or CIDR range (e.g. 10.0.0.0/8); anything else must match exactly
+function ipMatches(ip, entry) {
+  if (!entry.includes('/')) {
+    return ip === entry;
+  }
+  const [range, bits] = entry.split('/');
+  const toNumber = address => address.split('.').reduce((total, octet) => total * 256 + parseInt(octet), 0);
+  if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip) || !/^\d+\.\d+\.\d+\.\d+$/.test(range)) {
+    return false;
+  }
+  const size = 2 ** (32 - parseInt(bits));
+  return Math.floor(toNumber(ip) / size) === Math.floor(toNumber(range) / size);
+}
+
+// Scrapers authenticate with METRICS_TOKEN (Bearer) or come from METRICS_ALLOWED_IPS;
+// with neither configured the endpoint stays closed
+function requireScrapeAccess(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  const allowedIps = (process.env.METRICS_ALLOWED_IPS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  const header = req.headers['authorization'] || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (token && provided) {
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(provided).digest();
+    if (crypto.timingSafeEqual(expected, actual)) {
+      return next();
+    }
+  }
+
+  const ip = (req.ip || '').replace(/^::ffff:/, '');
+  if (allowedIps.some(entry => ipMatches(ip, entry))) {
+    return next();
+  }
+
+  logger.warn('security.metrics_rejected', { ip: req.ip });
+  res.status(403).json({
+    success: false,
+    error: token || allowedIps.length > 0 ? 'Metrics access denied' : 'Metrics scraping is not configured'
+  });
+}
+
 // Security monitoring
 function securityMonitor(req, res, next) {
   // Detect suspicious patterns
@@ -261,9 +489,8 @@ function securityMonitor(req, res, next) {
   );
   
   if (isSuspicious) {
-    const warning = `SECURITY: Suspicious request detected - IP: ${req.ip} - URL: ${req.url} - Body: ${JSON.stringify(req.body)}`;
-    writeLog(ERROR_LOG_FILE, warning);
-    console.warn('Suspicious request detected:', req.ip, req.url);
+    logger.warn('security.suspicious_request', { ip: req.ip, method: req.method, url: redactUrl(req.url), body: req.body });
+    console.warn('Suspicious request detected:', req.ip, redactUrl(req.url));
     
     // Block suspicious requests
     return res.status(403).json({
@@ -290,7 +517,8 @@ async function cleanupLogs() {
     const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
     
     for (const file of files) {
-      if (file.endsWith('.log') && file !== 'access.log' && file !== 'error.log') {
+      // The audit trail keeps its own, longer retention (see middleware/audit.js)
+      if (file.endsWith('.log') && file !== 'access.log' && file !== 'error.log' && !file.startsWith('audit')) {
         const filePath = path.join(LOG_DIR, file);
         const stats = await fs.stat(filePath);
         
@@ -305,17 +533,25 @@ async function cleanupLogs() {
   }
 }
 
-// Run cleanup daily
-setInterval(cleanupLogs, 24 * 60 * 60 * 1000);
+// Run cleanup daily; don't keep the process alive just for this
+setInterval(cleanupLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
+  logger,
+  getRequestId,
+  getRequestUser,
+  recordUpstream,
   requestLogger,
   errorLogger,
   securityMonitor,
+  redactUrl,
   updatePIStatus,
+  forgetPI,
   trackAuthEvent,
   getMetrics,
   getHealthStatus,
+  getPrometheusMetrics,
+  requireScrapeAccess,
   initMonitoring,
   cleanupLogs
 };
@@ -0,0 +1,217 @@
+/**
+ * Streaming Music Upload
+ * Pipes a multipart upload to one or more Pis as it arrives; the file is
+ * inspected on the way through (type and size) but never held in memory
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Busboy = require('busboy');
+const { requestOptions } = require('../pi-endpoint');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES) || 200 * 1024 * 1024; // 200MB
+const ALLOWED_EXTENSIONS = (process.env.UPLOAD_ALLOWED_EXTENSIONS || '.mp3,.flac,.wav,.ogg,.m4a,.aac')
+  .split(',')
+  .map(ext => ext.trim().toLowerCase());
+const PI_UPLOAD_PATH = '/api/music/upload';
+const UPLOAD_TIMEOUT = 10 * 60 * 1000; // Large files over Tailscale can take a while
+const PROGRESS_INTERVAL = 1000;
+const MULTIPART_OVERHEAD = 64 * 1024; // Room for boundaries and form fields around the file
+
+class UploadError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Returns an error message, or null when the file is acceptable
+function validateFile(filename, mimeType) {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!ALLOWED_EXTENSIONS.includes(extension)) {
+    return `Unsupported file type "${extension || filename}". Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`;
+  }
+  // Browsers send audio/*; curl and some clients only send application/octet-stream
+  if (mimeType && !mimeType.startsWith('audio/') && mimeType !== 'application/octet-stream') {
+    return `Unsupported content type: ${mimeType}`;
+  }
+  return null;
+}
+
+// Open an upstream upload request to a Pi; resolves with its parsed response
+function openUpstream(pi, req, extraHeaders = {}) {
+  const headers = {
+    ...extraHeaders,
+    'Content-Type': req.headers['content-type'],
+    'User-Agent': 'Music-Proxy-Upload/1.0'
+  };
+  if (req.id) {
+    headers['X-Request-Id'] = req.id;
+  }
+  if (req.headers['content-length']) {
+    headers['Content-Length'] = req.headers['content-length'];
+  }
+
+  const { client, options } = requestOptions(pi, PI_UPLOAD_PATH);
+  const upstream = client.request({
+    ...options,
+    method: 'POST',
+    headers,
+    timeout: UPLOAD_TIMEOUT
+  });
+
+  upstream.done = new Promise((resolve, reject) => {
+    upstream.on('response', response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        let data = body;
+        try {
+          data = JSON.parse(body);
+        } catch (error) {
+          // Keep non-JSON replies as text
+        }
+        if (response.statusCode >= 400) {
+          const message = (data && data.error) || `Pi responded with status ${response.statusCode}`;
+          const error = new Error(message);
+          error.statusCode = response.statusCode;
+          return reject(error);
+        }
+        resolve(data);
+      });
+    });
+    upstream.on('timeout', () => upstream.destroy(new Error('Upload timed out')));
+    upstream.on('error', reject);
+  });
+  // Failures are reported per Pi through `done`
+  upstream.done.catch(() => {});
+
+  return upstream;
+}
+
+/**
+ * Stream the request body to every Pi in `pis` at once, pacing the client to
+ * the slowest Pi. `headersFor(pi)` adds per-Pi headers (e.g. signatures).
+ * Resolves with { uploadId, file, results }, or rejects with an UploadError
+ * (statusCode 400/413/415) when the upload itself is invalid.
+ */
+function streamUpload(req, pis, { onProgress = () => {}, headersFor = () => ({}) } = {}) {
+  return new Promise((resolve, reject) => {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.startsWith('multipart/form-data')) {
+      return reject(new UploadError('Expected multipart/form-data with a "file" field', 400));
+    }
+
+    const declaredLength = parseInt(req.headers['content-length']) || null;
+    if (declaredLength && declaredLength > MAX_UPLOAD_BYTES + MULTIPART_OVERHEAD) {
+      return reject(new UploadError(`File too large. Maximum is ${MAX_UPLOAD_BYTES} bytes`, 413));
+    }
+
+    const uploadId = String(req.headers['x-upload-id'] || '').replace(/[^\w-]/g, '').slice(0, 64)
+      || `upload-${crypto.randomUUID()}`;
+    const targets = pis.map(pi => ({ pi, upstream: openUpstream(pi, req, headersFor(pi)), error: null }));
+    const active = () => targets.filter(target => !target.error);
+
+    let file = null;
+    let failure = null;
+    let bytesReceived = 0;
+    let lastProgress = 0;
+
+    // Abort every upstream so no Pi keeps a partial file, and drain the client
+    const fail = (error) => {
+      if (failure) return;
+      failure = error;
+      req.resume();
+      targets.forEach(target => target.upstream.destroy());
+      reject(error);
+    };
+
+    // Drop a Pi that errors mid-stream without stopping the others
+    targets.forEach(target => {
+      target.upstream.on('error', error => {
+        target.error = target.error || error;
+        req.resume();
+      });
+    });
+
+    const busboy = Busboy({
+      headers: req.headers,
+      limits: { files: 1, fileSize: MAX_UPLOAD_BYTES }
+    });
+
+    busboy.on('file', (field, stream, info) => {
+      const problem = validateFile(info.filename, info.mimeType);
+      if (problem) {
+        stream.resume();
+        return fail(new UploadError(problem, 415));
+      }
+
+      file = { field, filename: info.filename, mimeType: info.mimeType, size: 0 };
+      stream.on('data', chunk => { file.size += chunk.length; });
+      stream.on('limit', () => fail(new UploadError(`File too large. Maximum is ${MAX_UPLOAD_BYTES} bytes`, 413)));
+    });
+    busboy.on('filesLimit', () => fail(new UploadError('Only one file can be uploaded per request', 400)));
+    busboy.on('error', error => fail(new UploadError(`Malformed upload: ${error.message}`, 400)));
+
+    busboy.on('close', async () => {
+      if (failure) return;
+      if (!file) {
+        targets.forEach(target => target.upstream.destroy());
+        return reject(new UploadError('No file found in upload (expected a "file" field)', 400));
+      }
+
+      onProgress({ uploadId, filename: file.filename, bytes: bytesReceived, total: declaredLength, done: true });
+
+      const results = await Promise.all(targets.map(async ({ pi, upstream, error }) => {
+        try {
+          if (error) throw error;
+          const result = await upstream.done;
+          return { piId: pi.id, name: pi.name, success: true, result };
+        } catch (uploadError) {
+          return { piId: pi.id, name: pi.name, success: false, error: uploadError.message };
+        }
+      }));
+
+      resolve({ uploadId, file, results });
+    });
+
+    req.on('data', chunk => {
+      if (failure) return;
+      bytesReceived += chunk.length;
+
+      // Pause the client until every Pi still receiving has drained
+      const waiting = active().filter(target => !target.upstream.write(chunk));
+      if (waiting.length > 0) {
+        req.pause();
+        let pending = waiting.length;
+        waiting.forEach(target => target.upstream.once('drain', () => {
+          if (--pending === 0) req.resume();
+        }));
+      }
+
+      busboy.write(chunk);
+
+      if (Date.now() - lastProgress >= PROGRESS_INTERVAL) {
+        lastProgress = Date.now();
+        onProgress({ uploadId, filename: file ? file.filename : null, bytes: bytesReceived, total: declaredLength, done: false });
+      }
+    });
+
+    req.on('end', () => {
+      if (failure) return;
+      active().forEach(target => target.upstream.end());
+      busboy.end();
+    });
+
+    req.on('aborted', () => fail(new UploadError('Upload aborted by client', 400)));
+  });
+}
+
+module.exports = {
+  streamUpload,
+  validateFile,
+  UploadError,
+  MAX_UPLOAD_BYTES,
+  ALLOWED_EXTENSIONS
+};
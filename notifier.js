@@ -0,0 +1,254 @@
+/**
+ * Notifier with a persistent outbox
+ * Messages are rendered from templates, written to outbox.json and then
+ * delivered by a pluggable transport, retrying with backoff so an outage of
+ * the mail server doesn't lose notifications
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { sendMail, isMailConfigured } = require('./mailer');
+
+const DEFAULT_TEMPLATES = {
+  'access_request.admin': {
+    subject: 'New access request from {{name}}',
+    text: [
+      '{{name}} <{{email}}> has requested access to the music players.',
+      '',
+      'Organization: {{organization}}',
+      'Reason: {{reason}}',
+      '',
+      'Review it in the admin dashboard{{appUrlSuffix}}. Request ID: {{requestId}}'
+    ].join('\n')
+  },
+  'access_request.approved': {
+    subject: 'Your music player access has been approved',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Your access request has been approved with the {{role}} role.',
+      '',
+      'Sign in{{appUrlSuffix}} with {{email}} and the password you chose when you requested access.'
+    ].join('\n')
+  },
+  'access_request.rejected': {
+    subject: 'Your music player access request',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Your access request was not approved.',
+      '',
+      'Reason: {{rejectionReason}}'
+    ].join('\n')
+  }
+};
+
+// Built-in transports; register more with notifier.registerTransport(name, send)
+const TRANSPORTS = {
+  email: message => sendMail({ to: message.to, subject: message.subject, text: message.text }),
+  log: async message => {
+    console.log(`📧 [notification] To: ${message.to.join(', ')} - ${message.subject}`);
+  }
+};
+
+function render(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    variables[key] === undefined || variables[key] === null ? '' : String(variables[key])
+  );
+}
+
+class Notifier {
+  constructor() {
+    this.outbox = new Map();
+    this.configPath = process.env.NOTIFY_OUTBOX_PATH || path.join(__dirname, 'outbox.json');
+    this.templatesPath = process.env.NOTIFY_TEMPLATES_PATH || null;
+    this.templates = { ...DEFAULT_TEMPLATES };
+    this.transports = { ...TRANSPORTS };
+    this.transport = process.env.NOTIFY_TRANSPORT || (isMailConfigured() ? 'email' : 'log');
+    this.maxAttempts = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 8;
+    this.retryDelay = parseInt(process.env.NOTIFY_RETRY_DELAY) || 60000; // doubles per attempt
+    this.pollInterval = parseInt(process.env.NOTIFY_POLL_INTERVAL) || 30000;
+    this.sentRetention = 7 * 24 * 60 * 60 * 1000;
+    this.writeQueue = Promise.resolve();
+    this.processing = null;
+    this.timer = null;
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      this.outbox = new Map(Object.entries(JSON.parse(data).messages || {}));
+    } catch (error) {
+      this.outbox = new Map();
+    }
+
+    // Templates file: { "access_request.approved": { "subject": "...", "text": "..." }, ... }
+    if (this.templatesPath) {
+      try {
+        const custom = JSON.parse(await fs.readFile(this.templatesPath, 'utf8'));
+        Object.entries(custom).forEach(([name, template]) => {
+          this.templates[name] = { ...this.templates[name], ...template };
+        });
+        console.log(`Loaded notification templates from ${this.templatesPath}`);
+      } catch (error) {
+        console.error(`Failed to load notification templates from ${this.templatesPath}:`, error.message);
+      }
+    }
+  }
+
+  // Serialize writes and replace the file atomically, as the auth store does
+  persist() {
+    const write = async () => {
+      const tmpPath = `${this.configPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        messages: Object.fromEntries(this.outbox),
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+      await fs.rename(tmpPath, this.configPath);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  registerTransport(name, send) {
+    this.transports[name] = send;
+  }
+
+  // Render a template and queue it for delivery; resolves once it is safely in the outbox
+  async enqueue(templateName, to, variables = {}) {
+    await this.ready;
+
+    const template = this.templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown notification template: ${templateName}`);
+    }
+    const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+    if (recipients.length === 0) {
+      console.log(`📭 No recipients for ${templateName}, notification skipped`);
+      return null;
+    }
+
+    const message = {
+      id: `msg-${crypto.randomUUID()}`,
+      template: templateName,
+      to: recipients,
+      subject: render(template.subject, variables),
+      text: render(template.text, variables),
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      sentAt: null
+    };
+
+    this.outbox.set(message.id, message);
+    await this.persist();
+
+    this.processInBackground();
+    return message;
+  }
+
+  // Fire-and-forget delivery; a failed pass (e.g. the outbox can't be written) is retried on the next poll
+  processInBackground() {
+    this.processOutbox().catch(error => {
+      console.error('Failed to process notification outbox:', error.message);
+    });
+  }
+
+  // Deliver everything that is due; only one pass runs at a time
+  processOutbox() {
+    if (!this.processing) {
+      this.processing = this.deliverDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async deliverDue() {
+    await this.ready;
+    const now = Date.now();
+    const due = Array.from(this.outbox.values()).filter(message =>
+      message.status === 'pending' && Date.parse(message.nextAttemptAt) <= now
+    );
+
+    for (const message of due) {
+      const send = this.transports[this.transport];
+      message.attempts++;
+      try {
+        if (!send) {
+          throw new Error(`Unknown notification transport: ${this.transport}`);
+        }
+        await send(message);
+        message.status = 'sent';
+        message.sentAt = new Date().toISOString();
+        message.lastError = null;
+      } catch (error) {
+        message.lastError = error.message;
+        if (message.attempts >= this.maxAttempts) {
+          message.status = 'failed';
+          console.error(`📭 Giving up on notification ${message.id} after ${message.attempts} attempts: ${error.message}`);
+        } else {
+          const delay = this.retryDelay * 2 ** (message.attempts - 1);
+          message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+      }
+    }
+
+    // Drop delivered messages once they are old enough not to matter
+    for (const [id, message] of this.outbox) {
+      if (message.status === 'sent' && now - Date.parse(message.sentAt) > this.sentRetention) {
+        this.outbox.delete(id);
+      }
+    }
+
+    if (due.length > 0) {
+      await this.persist();
+    }
+  }
+
+  // Put a failed message back in the queue for another round of attempts
+  async retry(messageId) {
+    await this.ready;
+    const message = this.outbox.get(messageId);
+    if (!message) {
+      return null;
+    }
+    if (message.status === 'sent') {
+      throw new Error('Notification was already sent');
+    }
+    message.status = 'pending';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date().toISOString();
+    await this.persist();
+    this.processInBackground();
+    return message;
+  }
+
+  async listOutbox({ status } = {}) {
+    await this.ready;
+    return Array.from(this.outbox.values())
+      .filter(message => !status || message.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  start() {
+    this.timer = setInterval(() => this.processInBackground(), this.pollInterval);
+    this.timer.unref();
+    this.processInBackground();
+    console.log(`📬 Notifications via ${this.transport}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = Notifier;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
@@ -0,0 +1,154 @@
+/**
+ * Passthrough Allowlist
+ * Admin-managed list of Pi API paths that may be reached through
+ * /api/:piId/pi/*, each mapped to the methods allowed and the role required
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ROLES } = require('./middleware/auth');
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Split a Pi path into segments, rejecting anything that could escape the pattern
+function splitPath(piPath) {
+  const segments = piPath.split('/').filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\'))) {
+    return null;
+  }
+  return segments;
+}
+
+// Patterns: exact segments, ":name" for one segment, trailing "*" for the rest
+function matchPath(pattern, piPath) {
+  const patternSegments = pattern.split('/').filter(Boolean);
+  const segments = splitPath(piPath);
+  if (!segments) return false;
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const expected = patternSegments[i];
+    if (expected === '*' && i === patternSegments.length - 1) {
+      return segments.length > i;
+    }
+    if (i >= segments.length) return false;
+    if (!expected.startsWith(':') && expected !== segments[i]) return false;
+  }
+  return segments.length === patternSegments.length;
+}
+
+class PassthroughAllowlist {
+  constructor() {
+    this.rules = new Map();
+    this.configPath = process.env.PASSTHROUGH_CONFIG_PATH || path.join(__dirname, 'passthrough.json');
+  }
+
+  async loadRules() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      const config = JSON.parse(data);
+      this.rules = new Map(Object.entries(config.rules || {}));
+      console.log(`Loaded ${this.rules.size} passthrough rules from config`);
+    } catch (error) {
+      console.log('No existing passthrough config found, all Pi passthrough paths are blocked');
+      this.rules = new Map();
+    }
+  }
+
+  async saveRules() {
+    const config = {
+      rules: Object.fromEntries(this.rules),
+      lastUpdated: new Date().toISOString()
+    };
+    await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
+  }
+
+  // Validate and normalize rule input; throws on invalid input
+  normalizeRule(input, existing = {}) {
+    const rule = { ...existing, ...input };
+
+    if (typeof rule.path !== 'string' || !rule.path.startsWith('/') || !splitPath(rule.path)) {
+      throw new Error('path must be an absolute Pi path such as /api/settings or /api/playlists/*');
+    }
+    if (rule.path.split('/').slice(0, -1).includes('*')) {
+      throw new Error('"*" is only allowed as the last path segment');
+    }
+
+    rule.methods = (rule.methods || ['GET']).map(method => String(method).toUpperCase());
+    const invalidMethods = rule.methods.filter(method => !METHODS.includes(method));
+    if (rule.methods.length === 0 || invalidMethods.length > 0) {
+      throw new Error(`Invalid methods. Must be some of: ${METHODS.join(', ')}`);
+    }
+
+    rule.role = rule.role || 'admin';
+    if (!ROLES.includes(rule.role)) {
+      throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    rule.description = rule.description || '';
+    return rule;
+  }
+
+  async createRule(input) {
+    const now = new Date().toISOString();
+    const rule = this.normalizeRule({
+      ...input,
+      id: `pt-${crypto.randomUUID()}`,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    this.rules.set(rule.id, rule);
+    await this.saveRules();
+
+    console.log(`🔀 Allowed passthrough: ${rule.methods.join(',')} ${rule.path} (${rule.role})`);
+    return rule;
+  }
+
+  async updateRule(ruleId, updates) {
+    const existing = this.rules.get(ruleId);
+    if (!existing) {
+      return null;
+    }
+
+    const { id, createdAt, ...allowed } = updates;
+    const rule = this.normalizeRule({ ...allowed, updatedAt: new Date().toISOString() }, existing);
+
+    this.rules.set(ruleId, rule);
+    await this.saveRules();
+    return rule;
+  }
+
+  async removeRule(ruleId) {
+    if (this.rules.has(ruleId)) {
+      const rule = this.rules.get(ruleId);
+      this.rules.delete(ruleId);
+      await this.saveRules();
+      console.log(`🗑️ Removed passthrough rule: ${rule.path}`);
+      return true;
+    }
+    return false;
+  }
+
+  getAllRules() {
+    return Array.from(this.rules.values());
+  }
+
+  getRule(ruleId) {
+    return this.rules.get(ruleId);
+  }
+
+  // Find the rule allowing this method and path; when several match, the
+  // most restrictive role wins so a broad rule can't loosen a specific one
+  findRule(method, piPath) {
+    const matches = this.getAllRules().filter(rule =>
+      rule.methods.includes(method.toUpperCase()) && matchPath(rule.path, piPath)
+    );
+    matches.sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+    return matches[0] || null;
+  }
+}
+
+module.exports = PassthroughAllowlist;
+module.exports.matchPath = matchPath;
+module.exports.splitPath = splitPath;
@@ -3,85 +3,213 @@
  * Allows automatic discovery of Pis on Tailscale network
  */
 
+const { EventEmitter } = require('events');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { execFile } = require('child_process');
+const CircuitBreaker = require('./circuit-breaker');
+const { piUrl, axiosConfig, applyEndpoint } = require('./pi-endpoint');
 
-class PIDiscovery {
+function ipToInt(ip) {
+  return ip.split('.').reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+// Parse a CIDR ("100.104.127.0/24") or an octet prefix ("100.104.127.") into the addresses to probe
+function parseRange(range) {
+  let base;
+  let bits;
+  const cidr = range.match(/^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/);
+  if (cidr) {
+    base = cidr[1];
+    bits = parseInt(cidr[2], 10);
+  } else if (/^(\d{1,3}\.){1,3}$/.test(range)) {
+    const octets = range.split('.').filter(Boolean);
+    base = [...octets, 0, 0, 0].slice(0, 4).join('.');
+    bits = octets.length * 8;
+  } else {
+    throw new Error(`Invalid scan range "${range}" (use a CIDR like 100.104.127.0/24 or a prefix like 100.104.127.)`);
+  }
+  if (bits > 32 || base.split('.').some(octet => parseInt(octet, 10) > 255)) {
+    throw new Error(`Invalid scan range "${range}"`);
+  }
+
+  const size = 2 ** (32 - bits);
+  const start = Math.floor(ipToInt(base) / size) * size;
+  // Skip network and broadcast addresses except for tiny ranges
+  return size > 2
+    ? { start: start + 1, count: size - 2 }
+    : { start, count: size };
+}
+
+// Read `tailscale status --json`, or a file in the same format (TAILSCALE_STATUS_FILE)
+function readTailscaleStatus(statusFile, binary) {
+  if (statusFile) {
+    return fs.readFile(statusFile, 'utf8').then(JSON.parse);
+  }
+  return new Promise((resolve, reject) => {
+    execFile(binary, ['status', '--json'], { timeout: 10000, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        return reject(new Error(`tailscale status failed: ${error.message}`));
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (parseError) {
+        reject(new Error(`tailscale status returned invalid JSON: ${parseError.message}`));
+      }
+    });
+  });
+}
+
+// Tailscale reports the zero time for peers it has never seen offline
+function peerLastSeen(peer) {
+  if (peer.Online) return new Date().toISOString();
+  const lastSeen = Date.parse(peer.LastSeen);
+  return lastSeen > 0 ? new Date(lastSeen).toISOString() : null;
+}
+
+// Music players answer /api/health with their configured name
+function isMusicPlayer(data) {
+  return Boolean(data) && typeof data === 'object' && typeof data.pi_name === 'string';
+}
+
+class PIDiscovery extends EventEmitter {
   constructor() {
+    super();
     this.pis = new Map();
-    this.configPath = path.join(__dirname, 'pis.json');
-    this.tailscaleNetwork = process.env.TAILSCALE_NETWORK_RANGE || '100.';
+    this.groups = new Map();
+    this.configPath = process.env.PIS_CONFIG_PATH || path.join(__dirname, 'pis.json');
+    // No default: the whole Tailscale space (100.64.0.0/10) is far too large to sweep
+    this.tailscaleNetwork = process.env.TAILSCALE_NETWORK_RANGE || null;
     this.scanInterval = process.env.SCAN_INTERVAL || 30000; // 30 seconds
-    this.loadPIs();
+    // Range scanning sweeps TAILSCALE_NETWORK_RANGE for players that aren't in PI_IPS
+    this.scanEnabled = process.env.DISCOVERY_SCAN === 'true';
+    this.scanConcurrency = parseInt(process.env.DISCOVERY_SCAN_CONCURRENCY) || 32;
+    this.scanTimeout = parseInt(process.env.DISCOVERY_SCAN_TIMEOUT) || 1500;
+    this.scanMaxHosts = parseInt(process.env.DISCOVERY_SCAN_MAX_HOSTS) || 4096;
+    this.rangeScanInterval = parseInt(process.env.DISCOVERY_SCAN_INTERVAL) || 10 * 60 * 1000;
+    this.autoApprove = process.env.DISCOVERY_AUTO_APPROVE === 'true';
+    this.pending = new Map(); // Found Pis awaiting admin confirmation
+    this.ignored = new Map(); // ip -> rejected Pi, never offered again
+    this.scanning = null;
+    this.lastScan = null;
+    // Peer list discovery: probe Tailscale peers matching a hostname pattern or ACL tag
+    this.tailscaleEnabled = process.env.DISCOVERY_TAILSCALE === 'true';
+    this.tailscaleStatusFile = process.env.TAILSCALE_STATUS_FILE || null;
+    this.tailscaleBinary = process.env.TAILSCALE_BIN || 'tailscale';
+    this.tailscaleTags = (process.env.TAILSCALE_TAGS || 'tag:music-player').split(',').map(tag => tag.trim()).filter(Boolean);
+    this.tailscaleHostnamePattern = process.env.TAILSCALE_HOSTNAME_PATTERN
+      ? new RegExp(process.env.TAILSCALE_HOSTNAME_PATTERN, 'i')
+      : null;
+    this.lastTailscaleSync = null;
+    // Self-registered Pis push heartbeats; missing HEARTBEAT_TIMEOUT worth of them means offline
+    this.heartbeatInterval = parseInt(process.env.PI_HEARTBEAT_INTERVAL) || 30000;
+    this.heartbeatTimeout = parseInt(process.env.PI_HEARTBEAT_TIMEOUT) || this.heartbeatInterval * 3;
+    // Consecutive failures before a Pi is reported degraded, then offline (circuit open)
+    this.degradedAfter = parseInt(process.env.PI_DEGRADED_AFTER) || 1;
+    this.offlineAfter = parseInt(process.env.PI_OFFLINE_AFTER) || 3;
+    this.circuitResetTimeout = parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 30000;
+    this.breakers = new Map();
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadPIs();
+    this.ready.catch(() => {}); // reported by whoever awaits ready (server startup)
   }
 
+  // Only a missing file starts fresh; groups, pending Pis and ignored addresses can't be rebuilt
   async loadPIs() {
+    let data;
     try {
-      const data = await fs.readFile(this.configPath, 'utf8');
-      const config = JSON.parse(data);
-      this.pis = new Map(Object.entries(config.pis || {}));
-      console.log(`Loaded ${this.pis.size} Pis from config`);
+      data = await fs.readFile(this.configPath, 'utf8');
     } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read PI config ${this.configPath}: ${error.message}`);
+      }
       console.log('No existing PI config found, starting fresh');
-      this.pis = new Map();
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Failed to parse PI config ${this.configPath}: ${error.message}`);
     }
+    this.pis = new Map(Object.entries(config.pis || {}));
+    this.groups = new Map(Object.entries(config.groups || {}));
+    this.pending = new Map(Object.entries(config.pending || {}));
+    this.ignored = new Map(Object.entries(config.ignored || {}));
+    console.log(`Loaded ${this.pis.size} Pis and ${this.groups.size} groups from config`);
   }
 
+  // Serialize writes and replace the file atomically, as the auth store does.
+  // Health checks save on every pass, so writes overlap often.
   async savePIs() {
-    const config = {
-      pis: Object.fromEntries(this.pis),
-      lastUpdated: new Date().toISOString()
+    // Never replace a file that failed to load
+    await this.ready;
+    const write = async () => {
+      const tmpPath = `${this.configPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        pis: Object.fromEntries(this.pis),
+        groups: Object.fromEntries(this.groups),
+        pending: Object.fromEntries(this.pending),
+        ignored: Object.fromEntries(this.ignored),
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+      await fs.rename(tmpPath, this.configPath);
     };
-    await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
   }
 
   async discoverPis() {
     console.log('Scanning for Pis on Tailscale network...');
     
-    // Get IPs from environment or use defaults
-    const piIpsEnv = process.env.PI_IPS || '100.104.127.38,100.114.175.61';
-    const potentialIPs = piIpsEnv.split(',').map(ip => ip.trim());
+    // Get IPs from environment or use defaults (range scanning and peer discovery replace the defaults)
+    const piIpsEnv = process.env.PI_IPS || (this.scanEnabled || this.tailscaleEnabled ? '' : '100.104.127.38,100.114.175.61');
+    const potentialIPs = piIpsEnv.split(',').map(ip => ip.trim()).filter(Boolean);
 
     const discovered = [];
     
     for (const ip of potentialIPs) {
+      const startTime = Date.now();
+      // Known Pis are probed at their configured endpoint
+      const knownPI = this.findByIP(ip) || { ip };
       try {
-        const response = await axios.get(`http://${ip}:5000/api/health`, {
+        const response = await axios.get(piUrl(knownPI, '/api/health'), {
           timeout: 3000,
-          headers: { 'User-Agent': 'PI-Discovery/1.0' }
+          headers: { 'User-Agent': 'PI-Discovery/1.0' },
+          ...axiosConfig(knownPI)
         });
         
         if (response.data) {
-          const piInfo = {
-            id: `pi-${ip.replace(/\./g, '-')}`,
-            ip: ip,
-            port: 5000,
-            name: response.data.pi_name || `Music Player ${this.pis.size + 1}`,
-            location: response.data.pi_location || 'Unknown',
-            status: 'online',
-            lastSeen: new Date().toISOString()
-          };
+          const piId = `pi-${ip.replace(/\./g, '-')}`;
+          const piInfo = this.findByIP(ip) || { id: piId, ip: ip };
+          piInfo.name = response.data.pi_name || piInfo.name || `Music Player ${this.pis.size + 1}`;
+          piInfo.location = response.data.pi_location || piInfo.location || 'Unknown';
 
           this.pis.set(piInfo.id, piInfo);
+          await this.recordSuccess(piInfo.id, { latencyMs: Date.now() - startTime });
           discovered.push(piInfo);
           console.log(`✅ Discovered PI: ${piInfo.name} at ${ip}`);
         }
       } catch (error) {
         // Check if this PI was previously known
-        const existingPI = Array.from(this.pis.values()).find(pi => pi.ip === ip);
+        const existingPI = this.findByIP(ip);
         if (existingPI) {
-          if (existingPI.status === 'online') {
+          const previousStatus = existingPI.status;
+          await this.recordFailure(existingPI.id);
+          if (previousStatus !== 'offline' && existingPI.status === 'offline') {
             console.log(`❌ PI went offline: ${existingPI.name} at ${ip}`);
           }
-          existingPI.status = 'offline';
-          existingPI.lastSeen = new Date().toISOString();
         } else {
           // Add as offline PI
           const piInfo = {
             id: `pi-${ip.replace(/\./g, '-')}`,
             ip: ip,
-            port: 5000,
             name: `Music Player (${ip})`,
             location: 'Unknown',
             status: 'offline',
@@ -92,12 +220,356 @@ class PIDiscovery {
       }
     }
 
+    if (this.tailscaleEnabled) {
+      try {
+        discovered.push(...(await this.syncTailscalePeers()).added);
+      } catch (error) {
+        console.error('Tailscale peer discovery failed:', error.message);
+      }
+    }
+
     await this.savePIs();
     return discovered;
   }
 
-  async registerPI(piData) {
+  findByIP(ip) {
+    return Array.from(this.pis.values()).find(pi => pi.ip === ip) || null;
+  }
+
+  matchesPeer(peer) {
+    const tags = peer.Tags || [];
+    return this.tailscaleTags.some(tag => tags.includes(tag))
+      || Boolean(this.tailscaleHostnamePattern && this.tailscaleHostnamePattern.test(peer.HostName || ''));
+  }
+
+  /**
+   * Probe the Tailscale peers that look like music players. Known Pis get their
+   * hostname, OS and last-seen time refreshed; new ones are added (or held as
+   * pending) under an ID derived from their hostname.
+   */
+  async syncTailscalePeers() {
+    const status = await readTailscaleStatus(this.tailscaleStatusFile, this.tailscaleBinary);
+    const peers = Object.values(status.Peer || {}).filter(peer => this.matchesPeer(peer));
+    const result = { peers: peers.length, updated: [], added: [] };
+
+    for (const peer of peers) {
+      const ip = (peer.TailscaleIPs || []).find(address => /^\d+\.\d+\.\d+\.\d+$/.test(address));
+      if (!ip) continue;
+
+      const tailscale = {
+        hostname: peer.HostName,
+        dnsName: (peer.DNSName || '').replace(/\.$/, '') || null,
+        os: peer.OS || null,
+        tags: peer.Tags || [],
+        online: Boolean(peer.Online),
+        lastSeen: peerLastSeen(peer)
+      };
+
+      const known = this.findByIP(ip) || Array.from(this.pending.values()).find(pi => pi.ip === ip);
+      if (known) {
+        known.tailscale = tailscale;
+        // Replace the placeholder name given to Pis that were never reachable
+        if (peer.HostName && known.name === `Music Player (${ip})`) {
+          known.name = peer.HostName;
+        }
+        result.updated.push(known.id);
+        continue;
+      }
+      if (this.ignored.has(ip) || !peer.Online) continue;
+
+      const found = await this.probe(ip);
+      if (!found) continue;
+
+      const slug = (peer.HostName || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const id = slug && !this.pis.has(`pi-${slug}`) && !this.pending.has(`pi-${slug}`) ? `pi-${slug}` : undefined;
+      result.added.push(await this.addDiscoveredPI(ip, found, {
+        id,
+        name: found.health.pi_name || peer.HostName,
+        source: 'tailscale',
+        tailscale
+      }));
+    }
+
+    this.lastTailscaleSync = {
+      at: new Date().toISOString(),
+      peers: result.peers,
+      updated: result.updated.length,
+      added: result.added.map(pi => pi.id)
+    };
+    await this.savePIs();
+    return result;
+  }
+
+  // Returns why the configured scan range can't be swept, or null when it can
+  scanRangeError() {
+    if (!this.tailscaleNetwork) {
+      return `Set TAILSCALE_NETWORK_RANGE to the Pis' subnet (e.g. 100.104.127.0/24, at most ${this.scanMaxHosts} addresses) to scan`;
+    }
+    try {
+      const { count } = parseRange(this.tailscaleNetwork);
+      if (count > this.scanMaxHosts) {
+        return `Scan range ${this.tailscaleNetwork} has ${count} addresses (DISCOVERY_SCAN_MAX_HOSTS is ${this.scanMaxHosts})`;
+      }
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  // Sweep the configured range for music players that aren't known yet; one scan at a time
+  scanNetwork() {
+    if (!this.scanning) {
+      this.scanning = this.runScan().finally(() => {
+        this.scanning = null;
+      });
+    }
+    return this.scanning;
+  }
+
+  async runScan() {
+    const rangeError = this.scanRangeError();
+    if (rangeError) {
+      throw new Error(rangeError);
+    }
+    const { start, count } = parseRange(this.tailscaleNetwork);
+
+    const known = new Set([
+      ...Array.from(this.pis.values()).map(pi => pi.ip),
+      ...Array.from(this.pending.values()).map(pi => pi.ip),
+      ...this.ignored.keys()
+    ]);
+    const scan = { range: this.tailscaleNetwork, startedAt: new Date().toISOString(), finishedAt: null, probed: 0, found: [] };
+    console.log(`📡 Scanning ${this.tailscaleNetwork} (${count} addresses)...`);
+
+    // Fixed pool of workers pulling the next address, so at most scanConcurrency probes are in flight
+    let next = 0;
+    const worker = async () => {
+      while (next < count) {
+        const ip = intToIp(start + next++);
+        if (known.has(ip)) continue;
+        scan.probed++;
+        const found = await this.probe(ip);
+        if (found) {
+          scan.found.push(await this.addDiscoveredPI(ip, found));
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.scanConcurrency, count) }, worker));
+
+    scan.finishedAt = new Date().toISOString();
+    this.lastScan = { ...scan, found: scan.found.map(pi => pi.id) };
+    if (scan.found.length > 0) {
+      await this.savePIs();
+    }
+    console.log(`📡 Scan finished: ${scan.found.length} new Pi(s) in ${scan.probed} addresses`);
+    return scan;
+  }
+
+  // Returns the /api/health response when the address is a music player, otherwise null
+  async probe(ip) {
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(piUrl({ ip }, '/api/health'), {
+        timeout: this.scanTimeout,
+        headers: { 'User-Agent': 'PI-Discovery/1.0' }
+      });
+      return isMusicPlayer(response.data) ? { health: response.data, latencyMs: Date.now() - startTime } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async addDiscoveredPI(ip, { health, latencyMs }, { id, name, source = 'scan', tailscale } = {}) {
     const pi = {
+      id: id || `pi-${ip.replace(/\./g, '-')}`,
+      ip,
+      name: name || health.pi_name || `Music Player (${ip})`,
+      location: health.pi_location || 'Unknown',
+      source,
+      ...(tailscale ? { tailscale } : {}),
+      discoveredAt: new Date().toISOString(),
+      lastSeen: new Date().toISOString()
+    };
+
+    if (this.autoApprove) {
+      this.pis.set(pi.id, pi);
+      await this.recordSuccess(pi.id, { latencyMs });
+      console.log(`✅ Discovered PI: ${pi.name} at ${ip}`);
+    } else {
+      pi.status = 'pending';
+      this.pending.set(pi.id, pi);
+      console.log(`🆕 Found PI awaiting approval: ${pi.name} at ${ip}`);
+    }
+    return pi;
+  }
+
+  getPendingPIs() {
+    return Array.from(this.pending.values());
+  }
+
+  getIgnored() {
+    return Array.from(this.ignored.values());
+  }
+
+  // Move a pending Pi into service and check it right away
+  async approvePending(piId) {
+    const pi = this.pending.get(piId);
+    if (!pi) {
+      return null;
+    }
+    this.pending.delete(piId);
+    pi.approvedAt = new Date().toISOString();
+    delete pi.replaces;
+    this.pis.set(piId, pi);
+    await this.savePIs();
+    // Enrolled Pis come online with their next heartbeat; others are checked now
+    if (!pi.enrollmentTokenId) {
+      await this.checkPI(piId);
+    }
+
+    console.log(`✅ Approved PI: ${pi.name} (${pi.ip})`);
+    return pi;
+  }
+
+  // Drop a pending Pi and stop offering its address
+  async rejectPending(piId) {
+    const pi = this.pending.get(piId);
+    if (!pi) {
+      return null;
+    }
+    this.pending.delete(piId);
+    this.ignored.set(pi.ip, { ip: pi.ip, name: pi.name, rejectedAt: new Date().toISOString() });
+    await this.savePIs();
+
+    console.log(`🚫 Rejected PI: ${pi.name} (${pi.ip})`);
+    return pi;
+  }
+
+  async unignore(ip) {
+    if (!this.ignored.delete(ip)) {
+      return false;
+    }
+    await this.savePIs();
+    return true;
+  }
+
+  getScanState() {
+    return {
+      enabled: this.scanEnabled,
+      range: this.tailscaleNetwork,
+      rangeError: this.scanEnabled ? this.scanRangeError() : null,
+      autoApprove: this.autoApprove,
+      concurrency: this.scanConcurrency,
+      intervalMs: this.rangeScanInterval,
+      scanning: Boolean(this.scanning),
+      lastScan: this.lastScan,
+      tailscale: {
+        enabled: this.tailscaleEnabled,
+        source: this.tailscaleStatusFile || `${this.tailscaleBinary} status --json`,
+        tags: this.tailscaleTags,
+        hostnamePattern: this.tailscaleHostnamePattern ? this.tailscaleHostnamePattern.source : null,
+        lastSync: this.lastTailscaleSync
+      }
+    };
+  }
+
+  /**
+   * Self-registration from a Pi holding an enrollment token. Re-registering
+   * updates the Pi's own record; new Pis wait for approval unless the token
+   * allows auto-approval. A device claiming the ID or address of a Pi that
+   * wasn't enrolled (added by an admin or discovered) is held as a pending
+   * replacement and never touches the existing record until approved.
+   * The location always comes from the token. Returns { pi, approved }.
+   */
+  async enrollPI({ deviceId, ip, name, port, version, playback }, enrollmentToken) {
+    if (this.ignored.has(ip)) {
+      throw new Error('This device was rejected by an administrator');
+    }
+
+    const slug = String(deviceId || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const id = slug ? `pi-${slug}` : `pi-${ip.replace(/\./g, '-')}`;
+    const candidates = [this.pis.get(id), this.pending.get(id), this.findByIP(ip)].filter(Boolean);
+    const existing = candidates.find(pi => pi.enrollmentTokenId === enrollmentToken.id) || null;
+    if (!existing && candidates.some(pi => pi.enrollmentTokenId)) {
+      throw new Error('This device is enrolled with a different token');
+    }
+    const claimed = existing ? null : candidates[0] || null;
+
+    const pi = existing || {
+      id: claimed ? claimed.id : id,
+      source: 'registration',
+      discoveredAt: new Date().toISOString()
+    };
+    if (claimed) {
+      pi.replaces = claimed.id;
+    }
+    Object.assign(pi, {
+      ip,
+      name: pi.name || name || `Music Player (${ip})`,
+      location: pi.location || enrollmentToken.location || 'Unknown',
+      version: version || null,
+      playback: playback || null,
+      enrollmentTokenId: enrollmentToken.id,
+      lastHeartbeat: new Date().toISOString(),
+      lastSeen: new Date().toISOString()
+    });
+    if (port) {
+      pi.port = port;
+    }
+
+    const approved = this.pis.get(pi.id) === pi || (!existing && !claimed && enrollmentToken.autoApprove);
+    if (approved) {
+      this.pis.set(pi.id, pi);
+      await this.recordSuccess(pi.id);
+    } else {
+      pi.status = 'pending';
+      this.pending.set(pi.id, pi);
+      await this.savePIs();
+    }
+
+    console.log(`📝 ${existing ? 'Re-registered' : 'Enrolled'} PI: ${pi.name} (${ip})${approved ? '' : claimed ? `, awaiting approval to replace ${claimed.id}` : ', awaiting approval'}`);
+    return { pi, approved };
+  }
+
+  // Heartbeat from an enrolled Pi; returns null when the Pi is unknown
+  async heartbeat(piId, { version, playback }, enrollmentToken) {
+    const candidates = [this.pis.get(piId), this.pending.get(piId)].filter(Boolean);
+    if (candidates.length === 0) {
+      return null;
+    }
+    const pi = candidates.find(candidate => candidate.enrollmentTokenId === enrollmentToken.id);
+    if (!pi) {
+      throw new Error('This device is enrolled with a different token');
+    }
+
+    if (version !== undefined) pi.version = version;
+    if (playback !== undefined) pi.playback = playback;
+    pi.lastHeartbeat = new Date().toISOString();
+
+    if (this.pis.get(piId) === pi) {
+      await this.recordSuccess(piId);
+    } else {
+      await this.savePIs();
+    }
+    return pi;
+  }
+
+  // Enrolled Pis that stopped sending heartbeats go offline and their circuit opens
+  async checkHeartbeats() {
+    const now = Date.now();
+    for (const pi of this.pis.values()) {
+      if (!pi.enrollmentTokenId || !pi.lastHeartbeat || pi.status === 'offline') continue;
+      if (now - Date.parse(pi.lastHeartbeat) <= this.heartbeatTimeout) continue;
+
+      this.getBreaker(pi.id).trip();
+      await this.updatePIStatus(pi.id, 'offline');
+      this.emit('sample', { piId: pi.id, status: 'offline', latencyMs: null });
+      console.log(`❌ PI missed heartbeats: ${pi.name} (last ${pi.lastHeartbeat})`);
+    }
+  }
+
+  async registerPI(piData) {
+    const pi = applyEndpoint({
       id: piData.id || `pi-${piData.ip.replace(/\./g, '-')}`,
       ip: piData.ip,
       name: piData.name || `Music Player ${this.pis.size + 1}`,
@@ -106,7 +578,7 @@ class PIDiscovery {
       status: 'pending',
       addedAt: new Date().toISOString(),
       lastSeen: new Date().toISOString()
-    };
+    }, piData);
 
     this.pis.set(pi.id, pi);
     await this.savePIs();
@@ -115,11 +587,34 @@ class PIDiscovery {
     return pi;
   }
 
+  // Edit a Pi's details and endpoint (host, port, scheme, basePath, ca, tlsSkipVerify)
+  async updatePI(piId, updates) {
+    const pi = this.pis.get(piId);
+    if (!pi) {
+      return null;
+    }
+
+    if (updates.name !== undefined) pi.name = updates.name;
+    if (updates.location !== undefined) pi.location = updates.location;
+    if (updates.description !== undefined) pi.description = updates.description;
+    applyEndpoint(pi, updates);
+    pi.updatedAt = new Date().toISOString();
+
+    await this.savePIs();
+    console.log(`✏️ Updated PI: ${pi.name}`);
+    return pi;
+  }
+
   async removePI(piId) {
     if (this.pis.has(piId)) {
       const pi = this.pis.get(piId);
       this.pis.delete(piId);
+      this.breakers.delete(piId);
+      for (const group of this.groups.values()) {
+        group.piIds = group.piIds.filter(id => id !== piId);
+      }
       await this.savePIs();
+      this.emit('removed', { piId, name: pi.name });
       console.log(`🗑️ Removed PI: ${pi.name}`);
       return true;
     }
@@ -129,14 +624,71 @@ class PIDiscovery {
   async updatePIStatus(piId, status) {
     const pi = this.pis.get(piId);
     if (pi) {
+      const previousStatus = pi.status;
       pi.status = status;
       pi.lastSeen = new Date().toISOString();
+      this.emitStatusChange(pi, previousStatus);
       await this.savePIs();
       return pi;
     }
     return null;
   }
 
+  getBreaker(piId) {
+    if (!this.breakers.has(piId)) {
+      this.breakers.set(piId, new CircuitBreaker({
+        failureThreshold: this.offlineAfter,
+        resetTimeout: this.circuitResetTimeout
+      }));
+    }
+    return this.breakers.get(piId);
+  }
+
+  // A request reached the Pi: close its circuit and mark it online
+  async recordSuccess(piId, { latencyMs = null } = {}) {
+    if (!this.pis.has(piId)) return null;
+    this.getBreaker(piId).recordSuccess();
+    const pi = await this.updatePIStatus(piId, 'online');
+    this.emit('sample', { piId, status: pi.status, latencyMs });
+    return pi;
+  }
+
+  // A request failed: degraded after PI_DEGRADED_AFTER consecutive failures,
+  // offline (circuit open) after PI_OFFLINE_AFTER
+  async recordFailure(piId) {
+    const pi = this.pis.get(piId);
+    if (!pi) return null;
+
+    const breaker = this.getBreaker(piId);
+    breaker.recordFailure();
+
+    let status = pi.status;
+    if (breaker.state === 'open') {
+      status = 'offline';
+    } else if (breaker.consecutiveFailures >= this.degradedAfter) {
+      status = 'degraded';
+    }
+    const updated = await this.updatePIStatus(piId, status);
+    this.emit('sample', { piId, status: updated.status, latencyMs: null });
+    return updated;
+  }
+
+  getCircuitState(piId) {
+    return this.getBreaker(piId).toJSON();
+  }
+
+  // Emit 'status-change' only on real transitions (e.g. online -> offline)
+  emitStatusChange(pi, previousStatus) {
+    if (pi.status !== previousStatus) {
+      this.emit('status-change', {
+        piId: pi.id,
+        name: pi.name,
+        status: pi.status,
+        previousStatus: previousStatus || null
+      });
+    }
+  }
+
   getAllPIs() {
     return Array.from(this.pis.values());
   }
@@ -145,43 +697,126 @@ class PIDiscovery {
     return Array.from(this.pis.values()).filter(pi => pi.status === 'online');
   }
 
+  // Pis that can take requests (degraded ones are slow or flaky, but reachable)
+  getAvailablePIs() {
+    return Array.from(this.pis.values()).filter(pi => pi.status === 'online' || pi.status === 'degraded');
+  }
+
   getPI(piId) {
     return this.pis.get(piId);
   }
 
+  // Named groups of Pis (zones such as "Pool" or "Lobby")
+  async createGroup(groupData) {
+    const id = groupData.id || groupData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!id) {
+      throw new Error('Group ID could not be derived from name');
+    }
+    if (this.groups.has(id)) {
+      throw new Error(`Group already exists: ${id}`);
+    }
+
+    const group = {
+      id,
+      name: groupData.name,
+      description: groupData.description || '',
+      piIds: this.validatePiIds(groupData.piIds || []),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.groups.set(id, group);
+    await this.savePIs();
+
+    console.log(`🗂️ Created group: ${group.name} (${group.piIds.length} Pis)`);
+    return group;
+  }
+
+  async updateGroup(groupId, updates) {
+    const group = this.groups.get(groupId);
+    if (!group) {
+      return null;
+    }
+
+    if (updates.name !== undefined) group.name = updates.name;
+    if (updates.description !== undefined) group.description = updates.description;
+    if (updates.piIds !== undefined) group.piIds = this.validatePiIds(updates.piIds);
+    group.updatedAt = new Date().toISOString();
+
+    await this.savePIs();
+    return group;
+  }
+
+  async removeGroup(groupId) {
+    if (this.groups.has(groupId)) {
+      const group = this.groups.get(groupId);
+      this.groups.delete(groupId);
+      await this.savePIs();
+      console.log(`🗑️ Removed group: ${group.name}`);
+      return true;
+    }
+    return false;
+  }
+
+  validatePiIds(piIds) {
+    const unknown = piIds.filter(piId => !this.pis.has(piId));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown Pi IDs: ${unknown.join(', ')}`);
+    }
+    return Array.from(new Set(piIds));
+  }
+
+  getAllGroups() {
+    return Array.from(this.groups.values());
+  }
+
+  getGroup(groupId) {
+    return this.groups.get(groupId);
+  }
+
+  // Probe one Pi's /api/health and record the outcome
+  async checkPI(piId) {
+    const pi = this.pis.get(piId);
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(piUrl(pi, '/api/health'), {
+        timeout: 5000,
+        ...axiosConfig(pi)
+      });
+
+      // Update PI status
+      await this.recordSuccess(piId, { latencyMs: Date.now() - startTime });
+
+      return {
+        piId,
+        ip: pi.ip,
+        name: pi.name,
+        status: 'online',
+        response: response.data,
+        checkTime: new Date().toISOString()
+      };
+    } catch (error) {
+      // Update PI status (degraded until enough consecutive failures)
+      const updated = await this.recordFailure(piId);
+
+      return {
+        piId,
+        ip: pi.ip,
+        name: pi.name,
+        status: updated ? updated.status : 'offline',
+        error: error.message,
+        checkTime: new Date().toISOString()
+      };
+    }
+  }
+
   async healthCheck() {
     const results = [];
     
     for (const [piId, pi] of this.pis) {
-      try {
-        const response = await axios.get(`http://${pi.ip}:5000/api/health`, {
-          timeout: 5000
-        });
-        
-        results.push({
-          piId,
-          ip: pi.ip,
-          name: pi.name,
-          status: 'online',
-          response: response.data,
-          checkTime: new Date().toISOString()
-        });
-        
-        // Update PI status
-        await this.updatePIStatus(piId, 'online');
-      } catch (error) {
-        results.push({
-          piId,
-          ip: pi.ip,
-          name: pi.name,
-          status: 'offline',
-          error: error.message,
-          checkTime: new Date().toISOString()
-        });
-        
-        // Update PI status
-        await this.updatePIStatus(piId, 'offline');
-      }
+      // Enrolled Pis report in through heartbeats instead
+      if (pi.enrollmentTokenId) continue;
+      results.push(await this.checkPI(piId));
     }
     
     return results;
@@ -190,18 +825,31 @@ class PIDiscovery {
   startAutoDiscovery() {
     console.log('🔍 Starting automatic PI discovery...');
     
-    // Initial discovery
-    this.discoverPis();
+    // Initial discovery; a failed pass (e.g. pis.json can't be written) is retried on the next interval
+    const discover = () => this.discoverPis().catch(error => console.error('PI discovery failed:', error.message));
+    discover();
     
     // Set up recurring discovery
-    this.discoveryInterval = setInterval(() => {
-      this.discoverPis();
-    }, this.scanInterval);
+    this.discoveryInterval = setInterval(discover, this.scanInterval);
     
     // Set up health checks
     this.healthInterval = setInterval(() => {
-      this.healthCheck();
+      this.healthCheck().catch(error => console.error('Health check failed:', error.message));
     }, this.scanInterval * 2); // Health checks less frequently
+
+    this.heartbeatTimer = setInterval(() => {
+      this.checkHeartbeats().catch(error => console.error('Heartbeat check failed:', error.message));
+    }, this.heartbeatInterval);
+
+    // Range scans are much heavier, so they run on their own, slower schedule
+    const rangeError = this.scanEnabled ? this.scanRangeError() : null;
+    if (rangeError) {
+      console.error(`❌ Network scanning disabled: ${rangeError}`);
+    } else if (this.scanEnabled) {
+      const scan = () => this.scanNetwork().catch(error => console.error('Network scan failed:', error.message));
+      scan();
+      this.rangeScanTimer = setInterval(scan, this.rangeScanInterval);
+    }
   }
 
   stopAutoDiscovery() {
@@ -211,8 +859,16 @@ class PIDiscovery {
     if (this.healthInterval) {
       clearInterval(this.healthInterval);
     }
+    if (this.rangeScanTimer) {
+      clearInterval(this.rangeScanTimer);
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+    }
     console.log('⏹️ Stopped automatic PI discovery');
   }
 }
 
 module.exports = PIDiscovery;
+module.exports.parseRange = parseRange;
+module.exports.isMusicPlayer = isMusicPlayer;
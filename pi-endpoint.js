@@ -0,0 +1,135 @@
+/**
+ * Pi Endpoints
+ * Where and how each Pi is reached: host, port, http/https, base path and TLS
+ * trust. Every caller (discovery, health checks, proxying, uploads) builds its
+ * URLs and agents here so a Pi behind e.g. nginx on 443 works everywhere.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 5000;
+const SCHEMES = ['http', 'https'];
+const ENDPOINT_FIELDS = ['host', 'port', 'scheme', 'basePath', 'ca', 'tlsSkipVerify'];
+
+// One agent per distinct TLS setting, shared by Pis that trust the same CA
+const agents = new Map();
+
+function resolveEndpoint(pi) {
+  const scheme = pi.scheme || 'http';
+  return {
+    scheme,
+    host: pi.host || pi.ip,
+    port: pi.port || (scheme === 'https' ? 443 : DEFAULT_PORT),
+    basePath: pi.basePath || ''
+  };
+}
+
+// Base URL including the base path, e.g. https://lobby-pi:443/player
+function baseUrl(pi) {
+  const { scheme, host, port, basePath } = resolveEndpoint(pi);
+  return `${scheme}://${host}:${port}${basePath}`;
+}
+
+function piUrl(pi, endpoint) {
+  return `${baseUrl(pi)}${endpoint}`;
+}
+
+// https.Agent carrying the Pi's CA / verification setting; undefined for plain http
+function agentFor(pi) {
+  if (resolveEndpoint(pi).scheme !== 'https') {
+    return undefined;
+  }
+
+  const caKey = pi.ca ? crypto.createHash('sha256').update(pi.ca).digest('hex') : 'system';
+  const key = `${pi.tlsSkipVerify ? 'insecure' : 'verify'}:${caKey}`;
+  if (!agents.has(key)) {
+    agents.set(key, new https.Agent({
+      keepAlive: true,
+      ca: pi.ca || undefined,
+      rejectUnauthorized: !pi.tlsSkipVerify
+    }));
+  }
+  return agents.get(key);
+}
+
+// Extra axios config for requests to this Pi
+function axiosConfig(pi) {
+  const agent = agentFor(pi);
+  return agent ? { httpsAgent: agent } : {};
+}
+
+// Module and options for a raw http(s).request to `endpoint` on this Pi
+function requestOptions(pi, endpoint) {
+  const { scheme, host, port, basePath } = resolveEndpoint(pi);
+  return {
+    client: scheme === 'https' ? https : http,
+    options: {
+      host,
+      port,
+      path: `${basePath}${endpoint}`,
+      agent: agentFor(pi)
+    }
+  };
+}
+
+// Returns an error message for invalid endpoint fields, or null. Empty values clear a field.
+function validateEndpoint(fields) {
+  const { host, port, scheme, basePath, ca, tlsSkipVerify } = fields;
+
+  if (host && !/^[a-zA-Z0-9.-]{1,253}$/.test(host)) {
+    return 'host must be a hostname or IPv4 address';
+  }
+  if (port !== undefined && port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    return 'port must be an integer between 1 and 65535';
+  }
+  if (scheme && !SCHEMES.includes(scheme)) {
+    return `scheme must be one of: ${SCHEMES.join(', ')}`;
+  }
+  if (basePath && (!/^(\/[\w.~%-]+)+$/.test(basePath) || basePath.split('/').includes('..'))) {
+    return 'basePath must look like /path (no trailing slash, query or "..")';
+  }
+  if (ca) {
+    try {
+      new crypto.X509Certificate(ca);
+    } catch (error) {
+      return 'ca must be a PEM-encoded certificate';
+    }
+  }
+  if (tlsSkipVerify !== undefined && tlsSkipVerify !== null && typeof tlsSkipVerify !== 'boolean') {
+    return 'tlsSkipVerify must be true or false';
+  }
+  return null;
+}
+
+// Copy endpoint fields from `fields` onto a Pi record; null or '' resets a field to its default.
+// Changing the scheme without a port also resets the port, so http -> https moves from 5000 to 443.
+function applyEndpoint(pi, fields) {
+  const previousScheme = resolveEndpoint(pi).scheme;
+  ENDPOINT_FIELDS.forEach(field => {
+    if (fields[field] === undefined) return;
+    if (fields[field] === null || fields[field] === '') {
+      delete pi[field];
+    } else {
+      pi[field] = fields[field];
+    }
+  });
+  if (fields.port === undefined && resolveEndpoint(pi).scheme !== previousScheme) {
+    delete pi.port;
+  }
+  return pi;
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  ENDPOINT_FIELDS,
+  resolveEndpoint,
+  baseUrl,
+  piUrl,
+  agentFor,
+  axiosConfig,
+  requestOptions,
+  validateEndpoint,
+  applyEndpoint
+};
@@ -0,0 +1,257 @@
+/**
+ * Pi Availability and Latency History
+ * Samples are rolled up per minute and per hour as they arrive (minute
+ * buckets are kept for a couple of days, hourly ones for SLA reporting),
+ * and outages are kept as exact intervals
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Latency histogram upper bounds (ms) used for percentile estimates
+const LATENCY_BUCKETS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity];
+const RESOLUTIONS = { minute: MINUTE, hour: HOUR, day: DAY };
+
+function emptyBucket(t) {
+  return {
+    t,
+    samples: 0,
+    up: 0,
+    latencyCount: 0,
+    latencySum: 0,
+    latencyMin: null,
+    latencyMax: null,
+    histogram: LATENCY_BUCKETS.map(() => 0)
+  };
+}
+
+function addSample(bucket, up, latencyMs) {
+  bucket.samples++;
+  if (up) bucket.up++;
+  if (latencyMs === null || latencyMs === undefined) return;
+
+  bucket.latencyCount++;
+  bucket.latencySum += latencyMs;
+  bucket.latencyMin = bucket.latencyMin === null ? latencyMs : Math.min(bucket.latencyMin, latencyMs);
+  bucket.latencyMax = bucket.latencyMax === null ? latencyMs : Math.max(bucket.latencyMax, latencyMs);
+  bucket.histogram[LATENCY_BUCKETS.findIndex(bound => latencyMs <= bound)]++;
+}
+
+function mergeBuckets(t, buckets) {
+  const merged = emptyBucket(t);
+  buckets.forEach(bucket => {
+    merged.samples += bucket.samples;
+    merged.up += bucket.up;
+    merged.latencyCount += bucket.latencyCount;
+    merged.latencySum += bucket.latencySum;
+    if (bucket.latencyMin !== null) {
+      merged.latencyMin = merged.latencyMin === null ? bucket.latencyMin : Math.min(merged.latencyMin, bucket.latencyMin);
+      merged.latencyMax = merged.latencyMax === null ? bucket.latencyMax : Math.max(merged.latencyMax, bucket.latencyMax);
+    }
+    bucket.histogram.forEach((count, i) => { merged.histogram[i] += count; });
+  });
+  return merged;
+}
+
+// Estimate a percentile from the histogram (upper bound of the bucket, capped at the max seen)
+function percentile(bucket, p) {
+  if (bucket.latencyCount === 0) return null;
+  const rank = Math.ceil(p * bucket.latencyCount);
+  let seen = 0;
+  for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+    seen += bucket.histogram[i];
+    if (seen >= rank) {
+      return Math.min(LATENCY_BUCKETS[i], bucket.latencyMax);
+    }
+  }
+  return bucket.latencyMax;
+}
+
+function describeLatency(bucket) {
+  return {
+    samples: bucket.latencyCount,
+    avg: bucket.latencyCount > 0 ? Math.round(bucket.latencySum / bucket.latencyCount) : null,
+    min: bucket.latencyMin,
+    p50: percentile(bucket, 0.5),
+    p95: percentile(bucket, 0.95),
+    p99: percentile(bucket, 0.99),
+    max: bucket.latencyMax
+  };
+}
+
+class PiHistory {
+  constructor() {
+    this.pis = new Map();
+    this.configPath = process.env.HISTORY_PATH || path.join(__dirname, 'history.json');
+    this.minuteRetention = (parseInt(process.env.HISTORY_MINUTE_RETENTION_HOURS) || 48) * HOUR;
+    this.hourRetention = (parseInt(process.env.HISTORY_RETENTION_DAYS) || 400) * DAY;
+    this.flushInterval = parseInt(process.env.HISTORY_FLUSH_INTERVAL) || MINUTE;
+    this.dirty = false;
+    this.timer = null;
+  }
+
+  async loadHistory() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      const config = JSON.parse(data);
+      this.pis = new Map(Object.entries(config.pis || {}));
+      console.log(`Loaded availability history for ${this.pis.size} Pis`);
+    } catch (error) {
+      console.log('No existing availability history found, starting fresh');
+      this.pis = new Map();
+    }
+  }
+
+  async saveHistory() {
+    const config = {
+      pis: Object.fromEntries(this.pis),
+      lastUpdated: new Date().toISOString()
+    };
+    const tmpPath = `${this.configPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(config));
+    await fs.rename(tmpPath, this.configPath);
+    this.dirty = false;
+  }
+
+  getSeries(piId) {
+    if (!this.pis.has(piId)) {
+      this.pis.set(piId, { firstSeen: Date.now(), minutes: [], hours: [], outages: [] });
+    }
+    return this.pis.get(piId);
+  }
+
+  // Record one availability check or request; `up` is false while the Pi is offline
+  record(piId, { up, latencyMs = null, at = Date.now() }) {
+    const series = this.getSeries(piId);
+
+    [['minutes', MINUTE], ['hours', HOUR]].forEach(([key, size]) => {
+      const t = Math.floor(at / size) * size;
+      let bucket = series[key][series[key].length - 1];
+      if (!bucket || bucket.t !== t) {
+        bucket = emptyBucket(t);
+        series[key].push(bucket);
+      }
+      addSample(bucket, up, latencyMs);
+    });
+
+    // Outages run from the first down sample to the next up sample
+    const lastOutage = series.outages[series.outages.length - 1];
+    const inOutage = lastOutage && lastOutage.end === null;
+    if (!up && !inOutage) {
+      series.outages.push({ start: at, end: null });
+    } else if (up && inOutage) {
+      lastOutage.end = at;
+    }
+
+    this.dirty = true;
+  }
+
+  prune(now = Date.now()) {
+    for (const series of this.pis.values()) {
+      series.minutes = series.minutes.filter(bucket => bucket.t >= now - this.minuteRetention);
+      series.hours = series.hours.filter(bucket => bucket.t >= now - this.hourRetention);
+      series.outages = series.outages.filter(outage => outage.end === null || outage.end >= now - this.hourRetention);
+    }
+  }
+
+  /**
+   * Uptime, outages and latency for one Pi between from and to (ms timestamps).
+   * resolution is minute, hour, day or auto; minute data only covers the last
+   * HISTORY_MINUTE_RETENTION_HOURS. Returns null when nothing was ever recorded.
+   */
+  getHistory(piId, { from, to, resolution = 'auto' }) {
+    const series = this.pis.get(piId);
+    if (!series) {
+      return null;
+    }
+
+    if (resolution === 'auto') {
+      const span = to - from;
+      resolution = span <= 6 * HOUR ? 'minute' : span <= 14 * DAY ? 'hour' : 'day';
+    }
+    if (!RESOLUTIONS[resolution]) {
+      throw new Error(`Invalid resolution. Must be one of: auto, ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+    const size = RESOLUTIONS[resolution];
+
+    // Only count time the proxy was actually watching this Pi
+    const windowStart = Math.max(from, series.firstSeen);
+    const windowEnd = Math.min(to, Date.now());
+    const monitoredMs = Math.max(windowEnd - windowStart, 0);
+
+    const outages = series.outages
+      .map(outage => ({ start: outage.start, end: outage.end === null ? Date.now() : outage.end, ongoing: outage.end === null }))
+      .filter(outage => outage.end > windowStart && outage.start < windowEnd)
+      .map(outage => {
+        const start = Math.max(outage.start, windowStart);
+        const end = Math.min(outage.end, windowEnd);
+        return {
+          start: new Date(start).toISOString(),
+          end: outage.ongoing && end === outage.end ? null : new Date(end).toISOString(),
+          durationMs: end - start
+        };
+      });
+    const downtimeMs = outages.reduce((total, outage) => total + outage.durationMs, 0);
+
+    const source = resolution === 'minute' ? series.minutes : series.hours;
+    const inRange = source.filter(bucket => bucket.t >= Math.floor(from / size) * size && bucket.t <= to);
+
+    const grouped = new Map();
+    inRange.forEach(bucket => {
+      const t = Math.floor(bucket.t / size) * size;
+      if (!grouped.has(t)) grouped.set(t, []);
+      grouped.get(t).push(bucket);
+    });
+    const points = Array.from(grouped.entries()).map(([t, buckets]) => {
+      const merged = mergeBuckets(t, buckets);
+      return {
+        t: new Date(t).toISOString(),
+        samples: merged.samples,
+        availability: merged.samples > 0 ? Number((merged.up / merged.samples * 100).toFixed(3)) : null,
+        latency: describeLatency(merged)
+      };
+    });
+
+    return {
+      piId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution,
+      monitoredMs,
+      downtimeMs,
+      uptimePercent: monitoredMs > 0 ? Number(((1 - downtimeMs / monitoredMs) * 100).toFixed(3)) : null,
+      outages,
+      latency: describeLatency(mergeBuckets(from, inRange)),
+      points
+    };
+  }
+
+  async start() {
+    await this.loadHistory();
+    this.prune();
+
+    this.timer = setInterval(() => {
+      this.prune();
+      if (this.dirty) {
+        this.saveHistory().catch(error => console.error('Failed to save availability history:', error));
+      }
+    }, this.flushInterval);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.dirty) {
+      await this.saveHistory();
+    }
+  }
+}
+
+module.exports = PiHistory;
+module.exports.LATENCY_BUCKETS = LATENCY_BUCKETS;
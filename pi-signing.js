@@ -0,0 +1,176 @@
+/**
+ * Request Signing for Proxy -> Pi Calls
+ * Each Pi can have a shared secret; calls to it then carry an HMAC-SHA256
+ * signature over method, path, timestamp, nonce, body hash and the acting
+ * user, so the Pi can reject anything that didn't come from the proxy.
+ * Secrets live in pi-secrets.json (owner-only permissions).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { HEADERS, UNSIGNED_PAYLOAD, sha256, computeSignature } = require('./pi-verify');
+
+function newKey() {
+  return {
+    keyId: `k-${crypto.randomBytes(6).toString('hex')}`,
+    secret: crypto.randomBytes(32).toString('base64url'),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function describeKey(key) {
+  return key ? { keyId: key.keyId, createdAt: key.createdAt, activatedAt: key.activatedAt || null } : null;
+}
+
+// Identity of the user acting through the proxy, as sent to the Pi
+function encodeUser(user) {
+  if (!user) return '';
+  return Buffer.from(JSON.stringify({
+    id: user.id,
+    email: user.email || null,
+    name: user.name || null,
+    role: user.role,
+    apiKeyId: user.apiKeyId || null
+  })).toString('base64url');
+}
+
+class PiSigner {
+  constructor() {
+    this.keys = new Map(); // piId -> { active, next }
+    this.configPath = process.env.PI_SECRETS_PATH || path.join(__dirname, 'pi-secrets.json');
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadSecrets();
+    this.ready.catch(() => {}); // reported by whoever awaits ready (server startup)
+  }
+
+  // Only a missing file means "no secrets yet"; anything else must not be overwritten
+  async loadSecrets() {
+    let data;
+    try {
+      data = await fs.readFile(this.configPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.keys = new Map();
+        return;
+      }
+      throw new Error(`Failed to read signing secrets ${this.configPath}: ${error.message}`);
+    }
+    try {
+      this.keys = new Map(Object.entries(JSON.parse(data).pis || {}));
+    } catch (error) {
+      throw new Error(`Failed to parse signing secrets ${this.configPath}: ${error.message}`);
+    }
+    console.log(`Loaded signing secrets for ${this.keys.size} Pis`);
+  }
+
+  saveSecrets() {
+    const write = async () => {
+      const tmpPath = `${this.configPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        pis: Object.fromEntries(this.keys),
+        lastUpdated: new Date().toISOString()
+      }, null, 2), { mode: 0o600 });
+      await fs.rename(tmpPath, this.configPath);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Signature headers for one call to a Pi, or {} when the Pi has no secret.
+   * `path` excludes the Pi's basePath; pass body as sent (string/Buffer), or
+   * null for streamed bodies that can't be hashed up front.
+   */
+  headersFor(piId, { method, path: piPath, body = '', user = null }) {
+    const entry = this.keys.get(piId);
+    if (!entry || !entry.active) {
+      return {};
+    }
+
+    const fields = {
+      method,
+      path: piPath,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      nonce: crypto.randomUUID(),
+      contentSha256: body === null ? UNSIGNED_PAYLOAD : sha256(body),
+      user: encodeUser(user)
+    };
+
+    const headers = {
+      [HEADERS.keyId]: entry.active.keyId,
+      [HEADERS.timestamp]: fields.timestamp,
+      [HEADERS.nonce]: fields.nonce,
+      [HEADERS.contentSha256]: fields.contentSha256,
+      [HEADERS.signature]: `v1=${computeSignature(entry.active.secret, fields)}`
+    };
+    if (fields.user) {
+      headers[HEADERS.user] = fields.user;
+    }
+    return headers;
+  }
+
+  /**
+   * Generate a secret. The first one is used right away; later ones are staged
+   * as `next` until activate() so the Pi can be given the new key first.
+   * Returns { keyId, secret, status } - the only time the secret is shown.
+   */
+  async rotate(piId) {
+    await this.ready;
+    const entry = this.keys.get(piId) || { active: null, next: null };
+    const key = newKey();
+
+    let status;
+    if (entry.active) {
+      entry.next = key;
+      status = 'staged';
+    } else {
+      entry.active = { ...key, activatedAt: key.createdAt };
+      status = 'active';
+    }
+    this.keys.set(piId, entry);
+    await this.saveSecrets();
+
+    console.log(`🔑 ${status === 'active' ? 'Created' : 'Staged'} signing key ${key.keyId} for ${piId}`);
+    return { keyId: key.keyId, secret: key.secret, status };
+  }
+
+  // Start signing with the staged key; returns null when nothing is staged
+  async activate(piId) {
+    await this.ready;
+    const entry = this.keys.get(piId);
+    if (!entry || !entry.next) {
+      return null;
+    }
+
+    const retiredKeyId = entry.active ? entry.active.keyId : null;
+    entry.active = { ...entry.next, activatedAt: new Date().toISOString() };
+    entry.next = null;
+    await this.saveSecrets();
+
+    console.log(`🔑 Signing key ${entry.active.keyId} active for ${piId}${retiredKeyId ? ` (retired ${retiredKeyId})` : ''}`);
+    return { ...this.describe(piId), retiredKeyId };
+  }
+
+  // Stop signing calls to this Pi
+  async remove(piId) {
+    await this.ready;
+    if (!this.keys.delete(piId)) {
+      return false;
+    }
+    await this.saveSecrets();
+    return true;
+  }
+
+  describe(piId) {
+    const entry = this.keys.get(piId) || {};
+    return {
+      enabled: Boolean(entry.active),
+      active: describeKey(entry.active),
+      next: describeKey(entry.next)
+    };
+  }
+}
+
+module.exports = PiSigner;
+module.exports.encodeUser = encodeUser;
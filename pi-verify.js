@@ -0,0 +1,126 @@
+/**
+ * Reference verifier for signed proxy requests (Pi side)
+ * Self-contained (Node's crypto only) so it can be copied onto a Pi as-is.
+ * pi-signing.js builds signatures from the same canonical string.
+ *
+ *   const { requireProxySignature } = require('./pi-verify');
+ *   app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+ *   const verify = requireProxySignature({ secrets: { [process.env.PROXY_KEY_ID]: process.env.PROXY_SECRET } });
+ *   app.use('/api', (req, res, next) => (req.path === '/health' ? next() : verify(req, res, next)));
+ *
+ * /api/health stays open because discovery probes it before a Pi has a secret.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const HEADERS = {
+  keyId: 'x-proxy-key-id',
+  timestamp: 'x-proxy-timestamp',
+  nonce: 'x-proxy-nonce',
+  contentSha256: 'x-proxy-content-sha256',
+  user: 'x-proxy-user',
+  signature: 'x-proxy-signature'
+};
+
+function sha256(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+// One field per line; `path` is the Pi API path with query string, without any basePath
+function canonicalString({ method, path, timestamp, nonce, contentSha256, user }) {
+  return [SIGNATURE_VERSION, method.toUpperCase(), path, timestamp, nonce, contentSha256, user || ''].join('\n');
+}
+
+function computeSignature(secret, fields) {
+  return crypto.createHmac('sha256', secret).update(canonicalString(fields)).digest('hex');
+}
+
+/**
+ * Check a request against the shared secrets ({ keyId: secret }). `body` is the
+ * raw request body (Buffer or string). Returns { valid: true, keyId, user } or
+ * { valid: false, error }. Pass a Map as `seenNonces` to reject replays.
+ */
+function verifyRequest({ method, path, headers, body, secrets, maxSkewSeconds = 300, seenNonces = null }) {
+  const header = name => headers[name] || headers[name.toLowerCase()];
+  const keyId = header(HEADERS.keyId);
+  const timestamp = header(HEADERS.timestamp);
+  const nonce = header(HEADERS.nonce);
+  const contentSha256 = header(HEADERS.contentSha256);
+  const user = header(HEADERS.user) || '';
+  const signature = String(header(HEADERS.signature) || '');
+
+  if (!keyId || !timestamp || !nonce || !contentSha256 || !signature.startsWith(`${SIGNATURE_VERSION}=`)) {
+    return { valid: false, error: 'Missing signature headers' };
+  }
+  const secret = secrets[keyId];
+  if (!secret) {
+    return { valid: false, error: `Unknown key id: ${keyId}` };
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSeconds) {
+    return { valid: false, error: 'Timestamp outside the allowed window' };
+  }
+  if (contentSha256 !== UNSIGNED_PAYLOAD && contentSha256 !== sha256(body)) {
+    return { valid: false, error: 'Body does not match its hash' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, { method, path, timestamp, nonce, contentSha256, user }));
+  const actual = Buffer.from(signature.slice(SIGNATURE_VERSION.length + 1));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  if (seenNonces) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenNonces) {
+      if (expiresAt < now) seenNonces.delete(seen);
+    }
+    if (seenNonces.has(nonce)) {
+      return { valid: false, error: 'Replayed request' };
+    }
+    seenNonces.set(nonce, now + maxSkewSeconds * 2000);
+  }
+
+  let decodedUser = null;
+  if (user) {
+    try {
+      decodedUser = JSON.parse(Buffer.from(user, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, error: 'Malformed user header' };
+    }
+  }
+  return { valid: true, keyId, user: decodedUser };
+}
+
+// Express middleware; needs the raw body (see the express.json `verify` hook above)
+function requireProxySignature({ secrets, maxSkewSeconds = 300 }) {
+  const seenNonces = new Map();
+  return (req, res, next) => {
+    const result = verifyRequest({
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      body: req.rawBody || '',
+      secrets,
+      maxSkewSeconds,
+      seenNonces
+    });
+    if (!result.valid) {
+      return res.status(401).json({ success: false, error: result.error });
+    }
+    req.proxyUser = result.user;
+    next();
+  };
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  UNSIGNED_PAYLOAD,
+  HEADERS,
+  sha256,
+  canonicalString,
+  computeSignature,
+  verifyRequest,
+  requireProxySignature
+};
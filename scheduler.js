@@ -0,0 +1,475 @@
+/**
+ * Scheduled Playback Service
+ * Runs cron-style rules (e.g. "play Morning Jazz on the lobby Pis at 07:00")
+ * through proxyToPi, with per-rule timezones and a persisted run history
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const COMMANDS = ['play', 'stop', 'pause', 'resume', 'next', 'volume'];
+const MISSED_RUN_POLICIES = ['skip', 'run'];
+const MAX_RUN_HISTORY = 1000;
+const MAX_CATCH_UP_MINUTES = 7 * 24 * 60; // Look back at most a week after downtime
+const NEXT_RUN_SEARCH_MINUTES = 31 * 24 * 60;
+const MINUTE = 60 * 1000;
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "MON,WED") into a set of values
+function parseCronField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in ${range.name} field`);
+    }
+
+    const toNumber = (token) => {
+      const index = range.names ? range.names.indexOf(token.toUpperCase()) : -1;
+      if (index !== -1) return index + range.min;
+      if (!/^\d+$/.test(token)) throw new Error(`Invalid value "${token}" in ${range.name} field`);
+      return parseInt(token, 10);
+    };
+
+    let start = range.min;
+    let end = range.max;
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-');
+      start = toNumber(from);
+      end = to === undefined ? (stepPart === undefined ? start : range.max) : toNumber(to);
+    }
+
+    if (start < range.min || end > range.max || start > end) {
+      throw new Error(`Value out of range "${part}" in ${range.name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, FIELD_RANGES[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0); // 7 is also Sunday
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: if both day fields are restricted, either may match
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of a date in the given IANA timezone
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function cronMatches(cron, date, timezone) {
+  const t = zonedParts(date, timezone);
+  if (!cron.minutes.has(t.minute) || !cron.hours.has(t.hour) || !cron.months.has(t.month)) {
+    return false;
+  }
+
+  const domMatch = cron.daysOfMonth.has(t.day);
+  const dowMatch = cron.daysOfWeek.has(t.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function floorToMinute(time) {
+  return Math.floor(time / MINUTE) * MINUTE;
+}
+
+class Scheduler {
+  constructor({ piDiscovery, proxyToPi, onRun = null }) {
+    this.piDiscovery = piDiscovery;
+    this.proxyToPi = proxyToPi;
+    this.onRun = onRun;
+    this.rules = new Map();
+    this.runs = [];
+    this.lastTick = null;
+    this.configPath = process.env.SCHEDULES_PATH || path.join(__dirname, 'schedules.json');
+    this.writeQueue = Promise.resolve();
+    this.timer = null;
+  }
+
+  // Only a missing file means "no schedules yet"; a broken one must not be overwritten
+  async loadSchedules() {
+    let data;
+    try {
+      data = await fs.readFile(this.configPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read schedules ${this.configPath}: ${error.message}`);
+      }
+      console.log('No existing schedule config found, starting fresh');
+      this.rules = new Map();
+      this.runs = [];
+      this.lastTick = null;
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Failed to parse schedules ${this.configPath}: ${error.message}`);
+    }
+    this.rules = new Map(Object.entries(config.rules || {}));
+    this.runs = config.runs || [];
+    this.lastTick = config.lastTick || null;
+    console.log(`Loaded ${this.rules.size} schedule rules from config`);
+  }
+
+  // Serialize writes and replace the file atomically, as the auth store does
+  saveSchedules() {
+    const write = async () => {
+      const tmpPath = `${this.configPath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        rules: Object.fromEntries(this.rules),
+        runs: this.runs,
+        lastTick: this.lastTick,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+      await fs.rename(tmpPath, this.configPath);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  // Validate and normalize rule input; throws on invalid input
+  normalizeRule(input, existing = {}) {
+    const rule = { ...existing, ...input };
+
+    if (!rule.name) {
+      throw new Error('Name is required');
+    }
+
+    parseCron(rule.cron);
+
+    rule.timezone = rule.timezone || process.env.SCHEDULER_TIMEZONE || 'UTC';
+    if (!isValidTimezone(rule.timezone)) {
+      throw new Error(`Invalid timezone: ${rule.timezone}`);
+    }
+
+    const action = rule.action || {};
+    if (!COMMANDS.includes(action.command)) {
+      throw new Error(`Invalid command. Must be one of: ${COMMANDS.join(', ')}`);
+    }
+    rule.action = { command: action.command, payload: action.payload || null };
+
+    const targets = rule.targets || {};
+    const piIds = targets.piIds || [];
+    const groupIds = targets.groupIds || [];
+    if (!Array.isArray(piIds) || !Array.isArray(groupIds) || piIds.length + groupIds.length === 0) {
+      throw new Error('targets must list at least one piId or groupId');
+    }
+    const unknownPis = piIds.filter(piId => !this.piDiscovery.getPI(piId));
+    if (unknownPis.length > 0) {
+      throw new Error(`Unknown Pi IDs: ${unknownPis.join(', ')}`);
+    }
+    const unknownGroups = groupIds.filter(groupId => !this.piDiscovery.getGroup(groupId));
+    if (unknownGroups.length > 0) {
+      throw new Error(`Unknown group IDs: ${unknownGroups.join(', ')}`);
+    }
+    rule.targets = { piIds, groupIds };
+
+    rule.onMissed = rule.onMissed || 'skip';
+    if (!MISSED_RUN_POLICIES.includes(rule.onMissed)) {
+      throw new Error(`Invalid onMissed policy. Must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+    }
+
+    rule.enabled = rule.enabled !== false;
+    return rule;
+  }
+
+  async createRule(input) {
+    const now = new Date().toISOString();
+    const rule = this.normalizeRule({
+      ...input,
+      id: `sched-${crypto.randomUUID()}`,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null
+    });
+
+    this.rules.set(rule.id, rule);
+    await this.saveSchedules();
+
+    console.log(`⏰ Created schedule: ${rule.name} (${rule.cron} ${rule.timezone})`);
+    return this.describeRule(rule);
+  }
+
+  async updateRule(ruleId, updates) {
+    const existing = this.rules.get(ruleId);
+    if (!existing) {
+      return null;
+    }
+
+    const { id, createdAt, lastRunAt, ...allowed } = updates;
+    const rule = this.normalizeRule({ ...allowed, updatedAt: new Date().toISOString() }, existing);
+
+    this.rules.set(ruleId, rule);
+    await this.saveSchedules();
+    return this.describeRule(rule);
+  }
+
+  async removeRule(ruleId) {
+    if (this.rules.has(ruleId)) {
+      const rule = this.rules.get(ruleId);
+      this.rules.delete(ruleId);
+      await this.saveSchedules();
+      console.log(`🗑️ Removed schedule: ${rule.name}`);
+      return true;
+    }
+    return false;
+  }
+
+  getRule(ruleId) {
+    const rule = this.rules.get(ruleId);
+    return rule ? this.describeRule(rule) : null;
+  }
+
+  getAllRules() {
+    return Array.from(this.rules.values()).map(rule => this.describeRule(rule));
+  }
+
+  getRuns({ ruleId, limit = 50 } = {}) {
+    const runs = ruleId ? this.runs.filter(run => run.ruleId === ruleId) : this.runs;
+    return runs.slice(-Math.min(Math.max(parseInt(limit) || 50, 1), MAX_RUN_HISTORY)).reverse();
+  }
+
+  describeRule(rule) {
+    return {
+      ...rule,
+      nextRunAt: rule.enabled ? this.nextRunAfter(rule, Date.now()) : null
+    };
+  }
+
+  nextRunAfter(rule, time) {
+    const cron = parseCron(rule.cron);
+    let candidate = floorToMinute(time) + MINUTE;
+    for (let i = 0; i < NEXT_RUN_SEARCH_MINUTES; i++, candidate += MINUTE) {
+      if (cronMatches(cron, new Date(candidate), rule.timezone)) {
+        return new Date(candidate).toISOString();
+      }
+    }
+    return null;
+  }
+
+  resolveTargets(rule) {
+    const piIds = new Set(rule.targets.piIds);
+    for (const groupId of rule.targets.groupIds) {
+      const group = this.piDiscovery.getGroup(groupId);
+      if (group) {
+        group.piIds.forEach(piId => piIds.add(piId));
+      }
+    }
+    return Array.from(piIds);
+  }
+
+  recordRun(run) {
+    this.runs.push(run);
+    if (this.runs.length > MAX_RUN_HISTORY) {
+      this.runs.splice(0, this.runs.length - MAX_RUN_HISTORY);
+    }
+    if (this.onRun) {
+      this.onRun(run);
+    }
+  }
+
+  // Execute a rule against every target Pi and record the per-Pi outcome
+  async runRule(ruleId, { trigger = 'schedule', scheduledFor = new Date().toISOString() } = {}) {
+    const rule = this.rules.get(ruleId);
+    if (!rule) {
+      return null;
+    }
+
+    const startedAt = new Date().toISOString();
+    const { command, payload } = rule.action;
+    const results = await Promise.all(
+      this.resolveTargets(rule).map(piId =>
+        this.proxyToPi(piId, `/api/control/${command}`, 'POST', payload)
+          .then(() => ({ piId, success: true }))
+          .catch(error => ({ piId, success: false, error: error.message }))
+      )
+    );
+
+    const succeeded = results.filter(r => r.success).length;
+    const run = {
+      id: `run-${crypto.randomUUID()}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      command,
+      trigger,
+      scheduledFor,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: results.length > 0 && succeeded === results.length ? 'success' : succeeded > 0 ? 'partial' : 'failure',
+      results
+    };
+
+    rule.lastRunAt = startedAt;
+    this.recordRun(run);
+    await this.saveSchedules();
+
+    console.log(`⏰ Ran schedule ${rule.name}: ${succeeded}/${results.length} Pis succeeded`);
+    return run;
+  }
+
+  // After downtime, either replay the latest missed run per rule or record it as skipped
+  async handleMissedRuns(now) {
+    if (!this.lastTick) {
+      return;
+    }
+
+    const from = floorToMinute(Math.max(new Date(this.lastTick).getTime() + MINUTE, now - MAX_CATCH_UP_MINUTES * MINUTE));
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled) continue;
+
+      const cron = parseCron(rule.cron);
+      let latestMissed = null;
+      for (let time = from; time < now; time += MINUTE) {
+        if (cronMatches(cron, new Date(time), rule.timezone)) {
+          latestMissed = time;
+        }
+      }
+      if (latestMissed === null) continue;
+
+      const scheduledFor = new Date(latestMissed).toISOString();
+      if (rule.onMissed === 'run') {
+        console.log(`⏰ Catching up missed run of ${rule.name} (${scheduledFor})`);
+        await this.runRule(rule.id, { trigger: 'catch-up', scheduledFor });
+      } else {
+        console.log(`⏭️ Skipping missed run of ${rule.name} (${scheduledFor})`);
+        this.recordRun({
+          id: `run-${crypto.randomUUID()}`,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          command: rule.action.command,
+          trigger: 'catch-up',
+          scheduledFor,
+          startedAt: null,
+          finishedAt: null,
+          status: 'skipped',
+          results: []
+        });
+      }
+    }
+  }
+
+  async tick() {
+    const now = floorToMinute(Date.now());
+    if (this.lastTick && new Date(this.lastTick).getTime() >= now) {
+      return; // Already handled this minute
+    }
+
+    const due = Array.from(this.rules.values())
+      .filter(rule => rule.enabled && cronMatches(parseCron(rule.cron), new Date(now), rule.timezone));
+
+    this.lastTick = new Date(now).toISOString();
+    await Promise.all(due.map(rule =>
+      this.runRule(rule.id, { scheduledFor: this.lastTick }).catch(error => {
+        console.error(`Schedule ${rule.name} failed:`, error.message);
+      })
+    ));
+    await this.saveSchedules();
+  }
+
+  scheduleNextTick() {
+    // Land just after the minute boundary so the tick never sees the previous minute
+    const delay = floorToMinute(Date.now()) + MINUTE - Date.now() + 250;
+    this.timer = setTimeout(async () => {
+      try {
+        await this.tick();
+      } catch (error) {
+        console.error('Scheduler tick failed:', error.message);
+      }
+      this.scheduleNextTick();
+    }, delay);
+  }
+
+  async start() {
+    await this.loadSchedules();
+    await this.handleMissedRuns(floorToMinute(Date.now()));
+    this.lastTick = new Date(floorToMinute(Date.now())).toISOString();
+    await this.saveSchedules();
+
+    console.log('⏰ Starting scheduler...');
+    this.scheduleNextTick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log('⏹️ Stopped scheduler');
+  }
+}
+
+module.exports = Scheduler;
+module.exports.parseCron = parseCron;
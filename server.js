@@ -1,31 +1,81 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const querystring = require('querystring');
 const axios = require('axios');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const PIDiscovery = require('./pi-discovery');
+const Scheduler = require('./scheduler');
+const StatusCache = require('./status-cache');
+const PassthroughAllowlist = require('./passthrough');
+const PiHistory = require('./pi-history');
+const { piUrl, baseUrl, agentFor, axiosConfig, validateEndpoint } = require('./pi-endpoint');
+const PiSigner = require('./pi-signing');
+const Alerter = require('./alerting');
 const { 
   authenticateToken, 
+  requirePermission,
+  requireRole,
   requireAdmin, 
   authLimiter,
   handleLogin,
+  handleRefresh,
+  handleLogout,
+  handleRevokeUserSessions,
   handleAccessRequest,
   handleAccessStatus,
   handleListRequests,
   handleApproveRequest,
-  handleRejectRequest
+  handleRejectRequest,
+  handleUpdateAssignments,
+  handleListUsers,
+  handleGetUser,
+  handleCreateUser,
+  handleUpdateUser,
+  handleSetUserDisabled,
+  handleDeleteUser,
+  handleListApiKeys,
+  handleCreateApiKey,
+  handleRevokeApiKey,
+  authenticateEnrollment,
+  handleListEnrollmentTokens,
+  handleCreateEnrollmentToken,
+  handleRevokeEnrollmentToken,
+  canAccessPi,
+  hasPermission,
+  revalidateCaller,
+  ROLE_PERMISSIONS,
+  authStore,
+  notifier
 } = require('./middleware/auth');
 const {
+  logger,
+  getRequestId,
+  getRequestUser,
+  recordUpstream,
   requestLogger,
   errorLogger,
   securityMonitor,
   updatePIStatus,
+  forgetPI,
   trackAuthEvent,
   getMetrics,
   getHealthStatus,
+  getPrometheusMetrics,
+  requireScrapeAccess,
   initMonitoring
 } = require('./middleware/monitoring');
-require('dotenv').config();
+const { auditAction, recordAudit, queryAudit } = require('./middleware/audit');
+const { streamUpload, UploadError } = require('./middleware/upload');
+const {
+  publishEvent,
+  onSubscribersChange,
+  tokenFromQuery,
+  createEventStream
+} = require('./middleware/events');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -36,6 +86,41 @@ initMonitoring();
 // Initialize PI Discovery
 const piDiscovery = new PIDiscovery();
 
+// Short-lived cache in front of Pi status calls (shared by every dashboard)
+const statusCache = new StatusCache({ ttl: parseInt(process.env.STATUS_CACHE_TTL) || 2000 });
+
+// Availability and latency history for SLA reporting
+const piHistory = new PiHistory();
+const piSigner = new PiSigner();
+piDiscovery.on('sample', sample => piHistory.record(sample.piId, {
+  up: sample.status !== 'offline',
+  latencyMs: sample.latencyMs
+}));
+
+// Outage alerts (webhook, Slack, email)
+const alerter = new Alerter({ piDiscovery });
+
+// Pi API paths reachable through /api/:piId/pi/* (admin-managed)
+const passthrough = new PassthroughAllowlist();
+
+// Initialize scheduled playback (runs go through proxyToPi and into the audit trail)
+const scheduler = new Scheduler({
+  piDiscovery,
+  proxyToPi,
+  onRun: (run) => recordAudit({
+    action: 'schedule.run',
+    actor: { id: 'scheduler', email: null, name: 'Scheduler', role: 'system', apiKeyId: null },
+    piId: null,
+    target: { ruleId: run.ruleId },
+    command: run.command,
+    payload: null,
+    result: run.status === 'success' ? 'success' : 'failure',
+    status: null,
+    error: run.status === 'skipped' ? 'Skipped missed run' : null,
+    results: run.results
+  })
+});
+
 // Middleware
 app.use(helmet());
 app.use(express.json({ limit: '10mb' }));
@@ -64,25 +149,40 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
-// Logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
 // Authentication endpoints
-app.post('/api/auth/login', authLimiter, (req, res) => {
+app.post('/api/auth/login', authLimiter, async (req, res) => {
+  res.on('finish', () => {
+    trackAuthEvent(res.statusCode === 200 ? 'login_success' : 'login_failed', { email: req.body.email, ip: req.ip });
+  });
   try {
-    handleLogin(req, res);
+    await handleLogin(req, res);
   } catch (error) {
-    trackAuthEvent('login_failed', { email: req.body.email, ip: req.ip });
     res.status(500).json({ success: false, error: 'Login failed' });
   }
 });
 
-app.post('/api/auth/request-access', authLimiter, (req, res) => {
+app.post('/api/auth/refresh', authLimiter, async (req, res) => {
+  res.on('finish', () => {
+    trackAuthEvent(res.statusCode === 200 ? 'refresh_success' : 'refresh_failed', { ip: req.ip });
+  });
+  try {
+    await handleRefresh(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Token refresh failed' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await handleLogout(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
+app.post('/api/auth/request-access', authLimiter, async (req, res) => {
   try {
-    handleAccessRequest(req, res);
+    await handleAccessRequest(req, res);
     trackAuthEvent('access_request', { 
       name: req.body.name, 
       email: req.body.email 
@@ -92,9 +192,9 @@ app.post('/api/auth/request-access', authLimiter, (req, res) => {
   }
 });
 
-app.get('/api/auth/access-status', (req, res) => {
+app.get('/api/auth/access-status', async (req, res) => {
   try {
-    handleAccessStatus(req, res);
+    await handleAccessStatus(req, res);
   } catch (error) {
     res.status(500).json({ success: false, error: 'Status check failed' });
   }
@@ -108,23 +208,24 @@ app.get('/api/auth/validate', authenticateToken, (req, res) => {
       id: req.user.id,
       email: req.user.email,
       name: req.user.name,
-      role: req.user.role
+      role: req.user.role,
+      permissions: ROLE_PERMISSIONS[req.user.role] || []
     }
   });
 });
 
 // Admin authentication endpoints
-app.get('/api/admin/requests', authenticateToken, requireAdmin, (req, res) => {
+app.get('/api/admin/requests', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    handleListRequests(req, res);
+    await handleListRequests(req, res);
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to list requests' });
   }
 });
 
-app.post('/api/admin/requests/:requestId/approve', authenticateToken, requireAdmin, (req, res) => {
+app.post('/api/admin/requests/:requestId/approve', authenticateToken, requireAdmin, auditAction('request.approve'), async (req, res) => {
   try {
-    handleApproveRequest(req, res);
+    await handleApproveRequest(req, res);
     trackAuthEvent('access_approved', { 
       email: req.body.email, 
       role: req.body.role 
@@ -134,9 +235,9 @@ app.post('/api/admin/requests/:requestId/approve', authenticateToken, requireAdm
   }
 });
 
-app.post('/api/admin/requests/:requestId/reject', authenticateToken, requireAdmin, (req, res) => {
+app.post('/api/admin/requests/:requestId/reject', authenticateToken, requireAdmin, auditAction('request.reject'), async (req, res) => {
   try {
-    handleRejectRequest(req, res);
+    await handleRejectRequest(req, res);
     trackAuthEvent('access_rejected', { 
       email: req.body.email, 
       reason: req.body.reason 
@@ -146,267 +247,194 @@ app.post('/api/admin/requests/:requestId/reject', authenticateToken, requireAdmi
   }
 });
 
-// Metrics endpoint (admin only)
-app.get('/api/admin/metrics', authenticateToken, requireAdmin, (req, res) => {
+// Admin user management endpoints
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const metricsData = getMetrics();
-    res.json({
-      success: true,
-      ...metricsData
-    });
+    await handleListUsers(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to get metrics' });
+    res.status(500).json({ success: false, error: 'Failed to list users' });
   }
 });
 
-// Protected routes - require authentication
-app.use('/api', authenticateToken);
-
-// Helper function to make requests to Pi
-async function proxyToPi(piId, endpoint, method = 'GET', data = null) {
-  const pi = piDiscovery.getPI(piId);
-  if (!pi) {
-    throw new Error(`Pi not found: ${piId}`);
+app.post('/api/admin/users', authenticateToken, requireAdmin, auditAction('user.create'), async (req, res) => {
+  try {
+    await handleCreateUser(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to create user' });
   }
+});
 
-  if (pi.status === 'offline') {
-    throw new Error(`Pi is offline: ${pi.name}`);
+app.get('/api/admin/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await handleGetUser(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to get user' });
   }
+});
 
-  const url = `http://${pi.ip}:${pi.port || 5000}${endpoint}`;
-  const startTime = Date.now();
-  
+app.patch('/api/admin/users/:userId', authenticateToken, requireAdmin, auditAction('user.update'), async (req, res) => {
   try {
-    const config = {
-      method,
-      url,
-      timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    };
-
-    if (data) {
-      config.data = data;
-    }
-
-    const response = await axios(config);
-    const responseTime = Date.now() - startTime;
-    
-    // Update PI status and metrics
-    updatePIStatus(piId, 'online', responseTime);
-    piDiscovery.updatePIStatus(piId, 'online');
-    
-    // Return data directly for cleaner API
-    return response.data;
+    await handleUpdateUser(req, res);
   } catch (error) {
-    const responseTime = Date.now() - startTime;
-    
-    // Mark PI as offline
-    updatePIStatus(piId, 'offline');
-    piDiscovery.updatePIStatus(piId, 'offline');
-    
-    console.error(`Error connecting to ${piId}:`, error.message);
-    
-    throw new Error(`Failed to connect to ${pi.name}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to update user' });
   }
-}
+});
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const health = getHealthStatus();
-  const allPis = piDiscovery.getAllPIs();
-  const onlinePis = piDiscovery.getOnlinePIs();
-  
-  res.json({
-    ...health,
-    pis: {
-      total: allPis.length,
-      online: onlinePis.length,
-      offline: allPis.length - onlinePis.length,
-      details: allPis
-    }
-  });
+app.post('/api/admin/users/:userId/disable', authenticateToken, requireAdmin, auditAction('user.disable'), async (req, res) => {
+  try {
+    await handleSetUserDisabled(req, res, true);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to disable user' });
+  }
 });
 
-// Player status endpoint
-app.get('/api/all/status', async (req, res) => {
+app.post('/api/admin/users/:userId/enable', authenticateToken, requireAdmin, auditAction('user.enable'), async (req, res) => {
   try {
-    const pis = piDiscovery.getAllPIs();
-    const results = await Promise.all(
-      pis.map(pi => 
-        proxyToPi(pi.id, '/api/status', 'GET')
-          .then(result => ({ piId: pi.id, ...result }))
-          .catch(error => ({ 
-            piId: pi.id, 
-            success: false, 
-            error: error.message 
-          }))
-      )
-    );
-    
-    res.json({
-      success: true,
-      players: results
-    });
+    await handleSetUserDisabled(req, res, false);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ success: false, error: 'Failed to enable user' });
   }
 });
 
-// List available players
-app.get('/api/players', authenticateToken, (req, res) => {
-  const pis = piDiscovery.getAllPIs();
-  const players = pis.map(pi => ({
-    id: pi.id,
-    name: pi.name,
-    location: pi.location || 'Unknown',
-    status: pi.status,
-    lastSeen: pi.lastSeen,
-    available: pi.status === 'online'
-  }));
-  
-  res.json({
-    success: true,
-    players
-  });
+app.delete('/api/admin/users/:userId', authenticateToken, requireAdmin, auditAction('user.delete'), async (req, res) => {
+  try {
+    await handleDeleteUser(req, res);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to delete user' });
+  }
 });
 
-// Individual Pi status
-app.get('/api/:piId/status', authenticateToken, async (req, res) => {
+app.delete('/api/admin/users/:userId/sessions', authenticateToken, requireAdmin, auditAction('user.revoke_sessions'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/status', 'GET');
-    res.json({
-      success: true,
-      ...result
-    });
+    await handleRevokeUserSessions(req, res);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
   }
 });
 
-// Individual Pi control endpoints
-app.post('/api/:piId/control/play', authenticateToken, async (req, res) => {
+app.put('/api/admin/users/:userId/assignments', authenticateToken, requireAdmin, auditAction('user.assignments'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/play', 'POST', req.body);
-    res.json(result);
+    await handleUpdateAssignments(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update assignments' });
   }
 });
 
-app.post('/api/:piId/control/stop', authenticateToken, async (req, res) => {
+// Admin API key endpoints
+app.get('/api/admin/api-keys', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/stop', 'POST');
-    res.json(result);
+    await handleListApiKeys(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list API keys' });
   }
 });
 
-app.post('/api/:piId/control/pause', authenticateToken, async (req, res) => {
+app.post('/api/admin/api-keys', authenticateToken, requireAdmin, auditAction('api_key.create'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/pause', 'POST');
-    res.json(result);
+    await handleCreateApiKey(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
   }
 });
 
-app.post('/api/:piId/control/resume', authenticateToken, async (req, res) => {
+app.delete('/api/admin/api-keys/:keyId', authenticateToken, requireAdmin, auditAction('api_key.revoke'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/resume', 'POST');
-    res.json(result);
+    await handleRevokeApiKey(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
   }
 });
 
-app.post('/api/:piId/control/next', authenticateToken, async (req, res) => {
+// Admin enrollment token endpoints (one token per property, used by Pis to self-register)
+app.get('/api/admin/enrollment-tokens', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/next', 'POST', req.body);
-    res.json(result);
+    await handleListEnrollmentTokens(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list enrollment tokens' });
   }
 });
 
-app.post('/api/:piId/control/volume', authenticateToken, async (req, res) => {
+app.post('/api/admin/enrollment-tokens', authenticateToken, requireAdmin, auditAction('enrollment_token.create'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/control/volume', 'POST', req.body);
-    res.json(result);
+    await handleCreateEnrollmentToken(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create enrollment token' });
   }
 });
 
-// Music categories
-app.get('/api/:piId/music/categories', authenticateToken, async (req, res) => {
+app.delete('/api/admin/enrollment-tokens/:tokenId', authenticateToken, requireAdmin, auditAction('enrollment_token.revoke'), async (req, res) => {
   try {
-    const result = await proxyToPi(req.params.piId, '/api/music/categories', 'GET');
-    res.json(result);
+    await handleRevokeEnrollmentToken(req, res);
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to revoke enrollment token' });
   }
 });
 
-// Play history
-app.get('/api/:piId/music/history', authenticateToken, async (req, res) => {
+// Audit trail (admin only)
+app.get('/api/admin/audit', authenticateToken, requireAdmin, async (req, res) => {
+  const { userId, email, piId, action, command, result, from, to, page, limit } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be valid dates'
+    });
+  }
+
   try {
-    const limit = req.query.limit || 50;
-    const result = await proxyToPi(req.params.piId, `/api/music/history?limit=${limit}`, 'GET');
-    res.json(result);
+    const audit = await queryAudit({ userId, email, piId, action, command, result, from, to, page, limit });
+    res.json({
+      success: true,
+      ...audit
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to query audit log' });
   }
 });
 
-// Admin endpoints for PI management
-app.get('/api/admin/pis', authenticateToken, requireAdmin, (req, res) => {
-  const pis = piDiscovery.getAllPIs();
+// Alerting state and a test alert to every configured channel
+app.get('/api/admin/alerts', authenticateToken, requireAdmin, (req, res) => {
   res.json({
     success: true,
-    pis
+    ...alerter.getState()
   });
 });
 
-app.get('/api/admin/pis/:piId', authenticateToken, requireAdmin, (req, res) => {
-  const pi = piDiscovery.getPI(req.params.piId);
-  if (!pi) {
-    return res.status(404).json({
+app.post('/api/admin/alerts/test', authenticateToken, requireAdmin, auditAction('alerts.test'), async (req, res) => {
+  try {
+    const results = await alerter.sendTest();
+    if (results.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No alert channels configured'
+      });
+    }
+    res.json({
+      success: results.every(result => result.success),
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
       success: false,
-      error: 'PI not found'
+      error: error.message
     });
   }
-  res.json({
-    success: true,
-    pi
-  });
 });
 
-app.post('/api/admin/pis', authenticateToken, requireAdmin, async (req, res) => {
-  const { ip, name, location, description } = req.body;
-  
-  if (!ip || !name) {
+// Notification outbox (access request emails and anything else queued through the notifier)
+app.get('/api/admin/notifications', authenticateToken, requireAdmin, async (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'sent', 'failed'].includes(status)) {
     return res.status(400).json({
       success: false,
-      error: 'IP and name are required'
+      error: 'status must be pending, sent or failed'
     });
   }
-  
   try {
-    const pi = await piDiscovery.registerPI({ ip, name, location, description });
     res.json({
       success: true,
-      piId: pi.id,
-      pi,
-      message: 'PI added successfully'
+      transport: notifier.transport,
+      messages: await notifier.listOutbox({ status })
     });
   } catch (error) {
     res.status(500).json({
@@ -416,64 +444,1512 @@ app.post('/api/admin/pis', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-app.delete('/api/admin/pis/:piId', authenticateToken, requireAdmin, (req, res) => {
-  const success = piDiscovery.removePI(req.params.piId);
-  if (!success) {
-    return res.status(404).json({
+app.post('/api/admin/notifications/:messageId/retry', authenticateToken, requireAdmin, auditAction('notification.retry'), async (req, res) => {
+  try {
+    const message = await notifier.retry(req.params.messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+    res.json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    res.status(400).json({
       success: false,
-      error: 'PI not found'
+      error: error.message
     });
   }
-  res.json({
-    success: true,
-    message: 'PI removed successfully'
-  });
 });
 
-app.post('/api/admin/discover', authenticateToken, requireAdmin, async (req, res) => {
+// Metrics endpoint (admin only)
+app.get('/api/admin/metrics', authenticateToken, requireAdmin, (req, res) => {
   try {
-    const discoveredPis = await piDiscovery.discoverPis();
+    const metricsData = getMetrics();
     res.json({
       success: true,
-      discovered: discoveredPis.length,
-      pis: discoveredPis
+      ...metricsData
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(500).json({ success: false, error: 'Failed to get metrics' });
+  }
+});
+
+// Real-time event stream (Server-Sent Events); accepts ?access_token= for EventSource clients
+app.get('/api/events', tokenFromQuery, authenticateToken, requirePermission('player:read'), createEventStream((user, piId) => {
+  const pi = piDiscovery.getPI(piId);
+  return Boolean(pi) && canAccessPi(user, pi);
+}, {
+  // Streams outlive their token: close them once it expires or the session/account is revoked
+  revalidate: async req => {
+    const user = await revalidateCaller(req);
+    return user && hasPermission(user.role, 'player:read') ? user : null;
+  }
+}));
+
+// Pi self-registration and heartbeats (enrollment token instead of a user login)
+app.post('/api/pi/register', authenticateEnrollment, async (req, res) => {
+  const { deviceId, name, port, version, playback } = req.body;
+  // The address the Pi connects from, never one it claims
+  const ip = String(req.ip).replace(/^::ffff:/, '');
+
+  if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    return res.status(400).json({
+      success: false,
+      error: 'port must be an integer between 1 and 65535'
+    });
+  }
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Could not determine an IPv4 address for this device'
+    });
+  }
+
+  try {
+    const { pi, approved } = await piDiscovery.enrollPI({ deviceId, ip, name, port, version, playback }, req.enrollment);
+    res.status(approved ? 200 : 202).json({
+      success: true,
+      piId: pi.id,
+      status: approved ? 'approved' : 'pending',
+      heartbeatInterval: piDiscovery.heartbeatInterval
+    });
+  } catch (error) {
+    res.status(403).json({
       success: false,
       error: error.message
     });
   }
 });
 
-app.post('/api/admin/health-check', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/pi/heartbeat', authenticateEnrollment, async (req, res) => {
+  const { piId, version, playback } = req.body;
+
+  if (!piId) {
+    return res.status(400).json({
+      success: false,
+      error: 'piId is required'
+    });
+  }
+
   try {
-    const results = await piDiscovery.healthCheck();
+    const pi = await piDiscovery.heartbeat(piId, { version, playback }, req.enrollment);
+    if (!pi) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown device; register again'
+      });
+    }
     res.json({
       success: true,
-      results
+      status: piDiscovery.getPI(piId) === pi ? 'approved' : 'pending',
+      heartbeatInterval: piDiscovery.heartbeatInterval
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(403).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    error: err.message || 'Internal server error'
-  });
-});
+// Protected routes - require authentication
+app.use('/api', authenticateToken);
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
+// Retries for idempotent calls: network errors, timeouts and 5xx only
+const PROXY_RETRY_ATTEMPTS = parseInt(process.env.PROXY_RETRY_ATTEMPTS) || 2;
+const PROXY_RETRY_DELAY = parseInt(process.env.PROXY_RETRY_DELAY) || 200;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isRetryable(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+// Exponential backoff with jitter: ~200ms, ~400ms, ...
+function retryDelay(attempt) {
+  const base = PROXY_RETRY_DELAY * 2 ** attempt;
+  return base / 2 + Math.random() * base / 2;
+}
+
+// Helper function to make requests to Pi
+async function proxyToPi(piId, endpoint, method = 'GET', data = null) {
+  const pi = piDiscovery.getPI(piId);
+  if (!pi) {
+    throw new Error(`Pi not found: ${piId}`);
+  }
+
+  // An open circuit refuses requests until its reset timeout lets a trial through
+  const breaker = piDiscovery.getBreaker(piId);
+  if (!breaker.acquire()) {
+    const retryIn = Math.ceil(breaker.retryAfter() / 1000);
+    throw new Error(`Pi is offline: ${pi.name} (retry in ${retryIn}s)`);
+  }
+
+  const url = piUrl(pi, endpoint);
+  const startTime = Date.now();
+  const maxAttempts = IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? PROXY_RETRY_ATTEMPTS + 1 : 1;
+
+  // Commands change player state, so cached status is stale from here on
+  const changesState = method !== 'GET';
+  if (changesState) {
+    statusCache.invalidate(piId);
+  }
+  
+  // Outside a request (scheduler, pollers) each call gets its own ID
+  const requestId = getRequestId() || crypto.randomUUID();
+  const config = {
+    method,
+    url,
+    timeout: 10000,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Request-Id': requestId
+    },
+    ...axiosConfig(pi)
+  };
+
+  // Serialize the body ourselves so the signed hash matches the bytes sent
+  const body = data ? JSON.stringify(data) : '';
+  if (data) {
+    config.data = body;
+  }
+  const user = getRequestUser();
+
+  let lastError;
+  let attempts = 0;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    attempts = attempt + 1;
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay(attempt - 1)));
+    }
+
+    try {
+      // Fresh timestamp and nonce per attempt so retries aren't rejected as replays
+      Object.assign(config.headers, piSigner.headersFor(piId, { method, path: endpoint, body, user }));
+      const response = await axios(config);
+      const responseTime = Date.now() - startTime;
+      recordUpstream({ piId, method, endpoint, status: response.status, latencyMs: responseTime, attempts, outcome: 'success' });
+      
+      // Update PI status and metrics
+      const updated = await piDiscovery.recordSuccess(piId, { latencyMs: responseTime });
+      updatePIStatus(piId, updated ? updated.status : 'online', responseTime);
+
+      if (changesState) {
+        statusCache.invalidate(piId);
+      }
+
+      publishPiResult(piId, endpoint, method, { success: true, data: response.data });
+      
+      // Return data directly for cleaner API
+      return response.data;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error)) {
+        break;
+      }
+      if (attempt + 1 < maxAttempts) {
+        logger.warn('upstream.retry', { piId, method, endpoint, attempt: attempt + 2, maxAttempts, error: error.message });
+      }
+    }
+  }
+
+  // The Pi answered with a client error, so it is reachable; anything else
+  // counts as one failure toward degraded/offline however many attempts it took
+  const updated = isRetryable(lastError)
+    ? await piDiscovery.recordFailure(piId)
+    : await piDiscovery.recordSuccess(piId, { latencyMs: Date.now() - startTime });
+  updatePIStatus(piId, updated ? updated.status : 'offline');
+
+  const failedCall = {
+    piId,
+    method,
+    endpoint,
+    status: lastError.response ? lastError.response.status : null,
+    latencyMs: Date.now() - startTime,
+    attempts,
+    outcome: 'failure'
+  };
+  recordUpstream(failedCall);
+  logger.warn('upstream.error', { ...failedCall, requestId, error: lastError.message });
+
+  if (changesState) {
+    statusCache.invalidate(piId);
+  }
+
+  publishPiResult(piId, endpoint, method, { success: false, error: lastError.message });
+  
+  throw new Error(`Failed to connect to ${pi.name}: ${lastError.message}`);
+}
+
+// Stream a binary Pi response (album art, audio) to the client without parsing it
+const STREAMED_HEADERS = ['content-type', 'content-length', 'cache-control', 'etag', 'last-modified'];
+
+async function streamFromPi(piId, endpoint, res) {
+  const pi = piDiscovery.getPI(piId);
+  if (!pi) {
+    throw new Error(`Pi not found: ${piId}`);
+  }
+
+  const breaker = piDiscovery.getBreaker(piId);
+  if (!breaker.acquire()) {
+    const retryIn = Math.ceil(breaker.retryAfter() / 1000);
+    throw new Error(`Pi is offline: ${pi.name} (retry in ${retryIn}s)`);
+  }
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await axios({
+      method: 'GET',
+      url: piUrl(pi, endpoint),
+      responseType: 'stream',
+      timeout: 10000,
+      headers: {
+        'X-Request-Id': getRequestId() || crypto.randomUUID(),
+        ...piSigner.headersFor(piId, { method: 'GET', path: endpoint, user: getRequestUser() })
+      },
+      validateStatus: status => status < 500,
+      ...axiosConfig(pi)
+    });
+  } catch (error) {
+    const updated = await piDiscovery.recordFailure(piId);
+    updatePIStatus(piId, updated ? updated.status : 'offline');
+    recordUpstream({ piId, method: 'GET', endpoint, status: null, latencyMs: Date.now() - startTime, attempts: 1, outcome: 'failure' });
+    throw new Error(`Failed to connect to ${pi.name}: ${error.message}`);
+  }
+
+  const responseTime = Date.now() - startTime;
+  const updated = await piDiscovery.recordSuccess(piId, { latencyMs: responseTime });
+  updatePIStatus(piId, updated ? updated.status : 'online', responseTime);
+  recordUpstream({ piId, method: 'GET', endpoint, status: response.status, latencyMs: responseTime, attempts: 1, outcome: 'success' });
+
+  res.status(response.status);
+  STREAMED_HEADERS.forEach(header => {
+    if (response.headers[header]) {
+      res.setHeader(header, response.headers[header]);
+    }
+  });
+  response.data.on('error', () => res.destroy());
+  res.on('close', () => response.data.destroy());
+  response.data.pipe(res);
+}
+
+// Pi status through the cache; concurrent callers share one upstream request
+async function getPiStatus(piId) {
+  const status = await statusCache.get(piId, () => proxyToPi(piId, '/api/status', 'GET'));
+  return {
+    ...status.data,
+    cache: { cached: status.cached, age: status.age }
+  };
+}
+
+// Live events: control results, and player state changes seen in status responses
+const lastPlayerStates = new Map();
+
+function publishPiResult(piId, endpoint, method, outcome) {
+  if (endpoint.startsWith('/api/control/')) {
+    publishEvent('control.result', {
+      piId,
+      command: endpoint.slice('/api/control/'.length),
+      success: outcome.success,
+      error: outcome.error || null
+    });
+  } else if (method === 'GET' && endpoint === '/api/status' && outcome.success) {
+    const state = JSON.stringify(outcome.data);
+    if (lastPlayerStates.get(piId) !== state) {
+      lastPlayerStates.set(piId, state);
+      publishEvent('player.state', { piId, state: outcome.data });
+    }
+  }
+}
+
+piDiscovery.on('status-change', change => publishEvent('pi.status', change));
+// Keep monitoring (and the Prometheus gauges) in step with discovery and health checks
+piDiscovery.on('status-change', change => updatePIStatus(change.piId, change.status));
+
+// While anyone is subscribed, poll online Pis once for everyone instead of per dashboard
+const STATUS_POLL_INTERVAL = parseInt(process.env.STATUS_POLL_INTERVAL) || 5000;
+let statusPoller = null;
+
+onSubscribersChange(count => {
+  if (count > 0 && !statusPoller) {
+    statusPoller = setInterval(() => {
+      piDiscovery.getAvailablePIs().forEach(pi => {
+        getPiStatus(pi.id).catch(() => {});
+      });
+    }, STATUS_POLL_INTERVAL);
+  } else if (count === 0 && statusPoller) {
+    clearInterval(statusPoller);
+    statusPoller = null;
+  }
+});
+
+// Restrict per-Pi routes to the Pis assigned to the user
+function requirePiAccess(req, res, next) {
+  const pi = piDiscovery.getPI(req.params.piId);
+  if (pi && !canAccessPi(req.user, pi)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have access to this player'
+    });
+  }
+  next();
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  const health = getHealthStatus();
+  const allPis = piDiscovery.getAllPIs();
+  const onlinePis = piDiscovery.getOnlinePIs();
+  const degradedPis = allPis.filter(pi => pi.status === 'degraded');
+  
+  res.json({
+    ...health,
+    pis: {
+      total: allPis.length,
+      online: onlinePis.length,
+      degraded: degradedPis.length,
+      offline: allPis.length - onlinePis.length - degradedPis.length,
+      details: allPis.map(pi => ({ ...pi, circuit: piDiscovery.getCircuitState(pi.id) }))
+    }
+  });
+});
+
+// Prometheus scrape endpoint (METRICS_TOKEN or METRICS_ALLOWED_IPS, not user logins)
+app.get('/metrics', requireScrapeAccess, async (req, res) => {
+  try {
+    const { contentType, body } = await getPrometheusMetrics();
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to collect metrics' });
+  }
+});
+
+// Player status endpoint
+app.get('/api/all/status', requirePermission('player:read'), async (req, res) => {
+  try {
+    const pis = piDiscovery.getAllPIs().filter(pi => canAccessPi(req.user, pi));
+    const results = await Promise.all(
+      pis.map(pi => 
+        getPiStatus(pi.id)
+          .then(result => ({ piId: pi.id, ...result }))
+          .catch(error => ({ 
+            piId: pi.id, 
+            success: false, 
+            error: error.message 
+          }))
+      )
+    );
+    
+    res.json({
+      success: true,
+      players: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List available players
+app.get('/api/players', authenticateToken, requirePermission('player:read'), (req, res) => {
+  const pis = piDiscovery.getAllPIs().filter(pi => canAccessPi(req.user, pi));
+  const players = pis.map(pi => ({
+    id: pi.id,
+    name: pi.name,
+    location: pi.location || 'Unknown',
+    status: pi.status,
+    lastSeen: pi.lastSeen,
+    available: pi.status === 'online' || pi.status === 'degraded'
+  }));
+  
+  res.json({
+    success: true,
+    players
+  });
+});
+
+// Individual Pi status
+app.get('/api/:piId/status', authenticateToken, requirePermission('player:read'), requirePiAccess, async (req, res) => {
+  try {
+    const result = await getPiStatus(req.params.piId);
+    res.set('Age', String(Math.floor(result.cache.age / 1000)));
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Individual Pi control endpoints
+app.post('/api/:piId/control/play', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'play' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/play', 'POST', req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/:piId/control/stop', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'stop' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/stop', 'POST');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/:piId/control/pause', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'pause' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/pause', 'POST');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/:piId/control/resume', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'resume' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/resume', 'POST');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/:piId/control/next', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'next' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/next', 'POST', req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/:piId/control/volume', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('player.control', { command: 'volume' }), async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/control/volume', 'POST', req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Music categories
+app.get('/api/:piId/music/categories', authenticateToken, requirePermission('player:read'), requirePiAccess, async (req, res) => {
+  try {
+    const result = await proxyToPi(req.params.piId, '/api/music/categories', 'GET');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Play history
+app.get('/api/:piId/music/history', authenticateToken, requirePermission('player:read'), requirePiAccess, async (req, res) => {
+  try {
+    const limit = req.query.limit || 50;
+    const result = await proxyToPi(req.params.piId, `/api/music/history?limit=${limit}`, 'GET');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Album art, streamed through as-is (query string such as ?track= is forwarded)
+app.get('/api/:piId/music/art', authenticateToken, requirePermission('player:read'), requirePiAccess, async (req, res) => {
+  try {
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+    await streamFromPi(req.params.piId, `/api/music/art${query}`, res);
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Music upload: multipart streamed to the Pi(s), never buffered in the proxy
+function publishUploadProgress(pis) {
+  return progress => pis.forEach(pi => publishEvent('upload.progress', { piId: pi.id, ...progress }));
+}
+
+// Stream one upload to the Pis that can take it; others are reported as failed
+async function uploadToPis(req, res, pis, skipped = []) {
+  const startTime = Date.now();
+  try {
+    const { uploadId, file, results: uploaded } = await streamUpload(req, pis, {
+      onProgress: publishUploadProgress(pis),
+      // Multipart bodies are streamed, so their hash can't be signed
+      headersFor: pi => piSigner.headersFor(pi.id, { method: 'POST', path: '/api/music/upload', body: null, user: req.user })
+    });
+
+    uploaded.forEach(result => recordUpstream({
+      piId: result.piId,
+      method: 'POST',
+      endpoint: '/api/music/upload',
+      latencyMs: Date.now() - startTime,
+      attempts: 1,
+      outcome: result.success ? 'success' : 'failure'
+    }));
+
+    await Promise.all(uploaded.map(result =>
+      result.success ? piDiscovery.recordSuccess(result.piId) : piDiscovery.recordFailure(result.piId)
+    ));
+
+    const results = [...uploaded, ...skipped];
+    const succeeded = results.filter(r => r.success).length;
+    res.json({
+      success: succeeded === results.length,
+      uploadId,
+      file,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    // A rejected upload (type, size, form) says nothing about the Pis; free their trial requests
+    pis.forEach(pi => piDiscovery.getBreaker(pi.id).release());
+    res.status(error instanceof UploadError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Split Pis into those an upload can go to and those reported as failed up front.
+// Breakers of the returned Pis are acquired; uploadToPis settles them.
+function uploadTargets(req, piIds) {
+  const pis = [];
+  const skipped = [];
+  piIds.forEach(piId => {
+    const pi = piDiscovery.getPI(piId);
+    if (!pi || !canAccessPi(req.user, pi)) {
+      skipped.push({ piId, success: false, error: 'You do not have access to this player' });
+    } else if (!piDiscovery.getBreaker(piId).acquire()) {
+      skipped.push({ piId, name: pi.name, success: false, error: `Pi is offline: ${pi.name}` });
+    } else {
+      pis.push(pi);
+    }
+  });
+  return { pis, skipped };
+}
+
+app.post('/api/:piId/music/upload', authenticateToken, requirePermission('player:control'), requirePiAccess, auditAction('music.upload'), async (req, res) => {
+  const pi = piDiscovery.getPI(req.params.piId);
+  if (!pi) {
+    return res.status(404).json({ success: false, error: `Pi not found: ${req.params.piId}` });
+  }
+
+  const { pis, skipped } = uploadTargets(req, [pi.id]);
+  if (pis.length === 0) {
+    return res.status(503).json({ success: false, error: skipped[0].error });
+  }
+  await uploadToPis(req, res, pis);
+});
+
+// Generic passthrough to allowlisted Pi endpoints: /api/:piId/pi/<Pi path>
+const PASSTHROUGH_STRIPPED_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+function resolvePassthrough(req, res, next) {
+  const pi = piDiscovery.getPI(req.params.piId);
+  if (!pi) {
+    return res.status(404).json({ success: false, error: `Pi not found: ${req.params.piId}` });
+  }
+
+  const piPath = `/${req.params[0]}`;
+  const rule = passthrough.findRule(req.method, piPath);
+  if (!rule) {
+    return res.status(403).json({
+      success: false,
+      error: `Passthrough not allowed: ${req.method} ${piPath}`
+    });
+  }
+
+  // Only checked here; the breaker is acquired once the role and audit checks have passed
+  const breaker = piDiscovery.getBreaker(pi.id);
+  if (breaker.isOpen()) {
+    const retryIn = Math.ceil(breaker.retryAfter() / 1000);
+    return res.status(503).json({ success: false, error: `Pi is offline: ${pi.name} (retry in ${retryIn}s)` });
+  }
+
+  const queryIndex = req.originalUrl.indexOf('?');
+  req.passthrough = {
+    rule,
+    pi,
+    path: piPath.split('/').map(encodeURIComponent).join('/') + (queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : ''),
+    startTime: Date.now()
+  };
+
+  // Role required by the matching rule
+  requireRole(rule.role)(req, res, next);
+}
+
+// The body fixRequestBody will send for a parsed request; null when it is streamed through unhashed
+function passthroughBody(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (req.readableLength === 0 && req.body && contentType.includes('application/json')) {
+    return JSON.stringify(req.body);
+  }
+  if (req.readableLength === 0 && req.body && contentType.includes('application/x-www-form-urlencoded')) {
+    return querystring.stringify(req.body);
+  }
+  return parseInt(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] ? null : '';
+}
+
+const PASSTHROUGH_OPTIONS = {
+  pathRewrite: (path, req) => req.passthrough.path,
+  changeOrigin: true,
+  proxyTimeout: 10000,
+  logLevel: 'warn',
+  onProxyReq: (proxyReq, req) => {
+    // Proxy credentials are for us, not the Pi; signature headers only ever come from us
+    PASSTHROUGH_STRIPPED_HEADERS.forEach(header => proxyReq.removeHeader(header));
+    proxyReq.getHeaderNames()
+      .filter(header => header.startsWith('x-proxy-'))
+      .forEach(header => proxyReq.removeHeader(header));
+    proxyReq.setHeader('X-Request-Id', req.id);
+
+    const signature = piSigner.headersFor(req.params.piId, {
+      method: req.method,
+      path: req.passthrough.path,
+      body: passthroughBody(req),
+      user: req.user
+    });
+    Object.entries(signature).forEach(([header, value]) => proxyReq.setHeader(header, value));
+    fixRequestBody(proxyReq, req);
+  },
+  onProxyRes: (proxyRes, req) => {
+    const piId = req.params.piId;
+    const responseTime = Date.now() - req.passthrough.startTime;
+    recordUpstream({
+      piId,
+      method: req.method,
+      endpoint: req.passthrough.path,
+      status: proxyRes.statusCode,
+      latencyMs: responseTime,
+      attempts: 1,
+      outcome: proxyRes.statusCode < 500 ? 'success' : 'failure'
+    });
+    if (proxyRes.statusCode >= 500) {
+      piDiscovery.recordFailure(piId).then(pi => updatePIStatus(piId, pi ? pi.status : 'offline'));
+    } else {
+      piDiscovery.recordSuccess(piId, { latencyMs: responseTime }).then(pi => updatePIStatus(piId, pi ? pi.status : 'online', responseTime));
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      statusCache.invalidate(piId);
+    }
+  },
+  onError: (error, req, res) => {
+    const piId = req.params.piId;
+    logger.warn('upstream.error', { piId, method: req.method, endpoint: req.passthrough.path, requestId: req.id, error: error.message });
+    piDiscovery.recordFailure(piId).then(pi => updatePIStatus(piId, pi ? pi.status : 'offline'));
+    if (!res.headersSent) {
+      res.status(502).json({ success: false, error: `Failed to connect to Pi: ${error.message}` });
+    }
+  }
+};
+
+// One proxy per Pi endpoint (target, CA and verification can't vary per request)
+const passthroughProxies = new Map();
+
+function passthroughProxy(req, res, next) {
+  const { pi } = req.passthrough;
+  const breaker = piDiscovery.getBreaker(pi.id);
+  if (!breaker.acquire()) {
+    return res.status(503).json({ success: false, error: `Pi is offline: ${pi.name}` });
+  }
+  // A client that disconnects mid-request settles nothing; don't leave a trial hanging
+  res.on('close', () => breaker.release());
+  const key = JSON.stringify([baseUrl(pi), pi.ca || null, Boolean(pi.tlsSkipVerify)]);
+  let entry = passthroughProxies.get(pi.id);
+  if (!entry || entry.key !== key) {
+    entry = {
+      key,
+      proxy: createProxyMiddleware({
+        ...PASSTHROUGH_OPTIONS,
+        target: baseUrl(pi),
+        agent: agentFor(pi),
+        secure: !pi.tlsSkipVerify
+      })
+    };
+    passthroughProxies.set(pi.id, entry);
+  }
+  entry.proxy(req, res, next);
+}
+
+// Reads pass straight through; anything that can change the Pi goes into the audit trail
+const auditPassthrough = auditAction('pi.passthrough');
+
+app.all('/api/:piId/pi/*', authenticateToken, requirePiAccess, resolvePassthrough, (req, res, next) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+  auditPassthrough(req, res, next);
+}, passthroughProxy);
+
+// Group (zone) endpoints
+const GROUP_COMMANDS = {
+  play: true,
+  stop: false,
+  pause: false,
+  resume: false,
+  next: true,
+  volume: true
+};
+
+// Run callPi(piId) against every member of a group concurrently and summarize per-Pi results
+async function fanOutToGroup(req, group, callPi) {
+  const results = await Promise.all(
+    group.piIds.map(async piId => {
+      const pi = piDiscovery.getPI(piId);
+      if (pi && !canAccessPi(req.user, pi)) {
+        return { piId, success: false, error: 'You do not have access to this player' };
+      }
+      try {
+        const result = await callPi(piId);
+        return { piId, name: pi ? pi.name : piId, success: true, result };
+      } catch (error) {
+        return { piId, name: pi ? pi.name : piId, success: false, error: error.message };
+      }
+    })
+  );
+
+  const succeeded = results.filter(r => r.success).length;
+  return {
+    success: succeeded === results.length,
+    groupId: group.id,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+}
+
+app.get('/api/groups', authenticateToken, requirePermission('player:read'), (req, res) => {
+  const groups = piDiscovery.getAllGroups().map(group => ({
+    ...group,
+    piIds: group.piIds.filter(piId => {
+      const pi = piDiscovery.getPI(piId);
+      return pi && canAccessPi(req.user, pi);
+    })
+  }));
+
+  res.json({
+    success: true,
+    groups
+  });
+});
+
+app.get('/api/groups/:groupId/status', authenticateToken, requirePermission('player:read'), async (req, res) => {
+  const group = piDiscovery.getGroup(req.params.groupId);
+  if (!group) {
+    return res.status(404).json({
+      success: false,
+      error: 'Group not found'
+    });
+  }
+
+  try {
+    const summary = await fanOutToGroup(req, group, piId => getPiStatus(piId));
+    res.json(summary);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+Object.entries(GROUP_COMMANDS).forEach(([command, forwardsBody]) => {
+  app.post(`/api/groups/:groupId/control/${command}`, authenticateToken, requirePermission('player:control'), auditAction('group.control', { command }), async (req, res) => {
+    const group = piDiscovery.getGroup(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+
+    try {
+      const summary = await fanOutToGroup(req, group, piId =>
+        proxyToPi(piId, `/api/control/${command}`, 'POST', forwardsBody ? req.body : null)
+      );
+      res.json(summary);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+});
+
+app.post('/api/groups/:groupId/music/upload', authenticateToken, requirePermission('player:control'), auditAction('group.upload'), async (req, res) => {
+  const group = piDiscovery.getGroup(req.params.groupId);
+  if (!group) {
+    return res.status(404).json({
+      success: false,
+      error: 'Group not found'
+    });
+  }
+
+  const { pis, skipped } = uploadTargets(req, group.piIds);
+  if (pis.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'No Pi in this group can take the upload',
+      results: skipped
+    });
+  }
+  await uploadToPis(req, res, pis, skipped);
+});
+
+// Admin endpoints for PI management
+app.get('/api/admin/pis', authenticateToken, requireAdmin, (req, res) => {
+  const pis = piDiscovery.getAllPIs();
+  res.json({
+    success: true,
+    pis
+  });
+});
+
+app.get('/api/admin/pis/:piId', authenticateToken, requireAdmin, (req, res) => {
+  const pi = piDiscovery.getPI(req.params.piId);
+  if (!pi) {
+    return res.status(404).json({
+      success: false,
+      error: 'PI not found'
+    });
+  }
+  res.json({
+    success: true,
+    pi
+  });
+});
+
+// Uptime, outages and latency percentiles for SLA reports (default: last 30 days)
+app.get('/api/admin/pis/:piId/history', authenticateToken, requireAdmin, (req, res) => {
+  const { from, to, resolution } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be valid dates'
+    });
+  }
+
+  const toTime = to ? Date.parse(to) : Date.now();
+  const fromTime = from ? Date.parse(from) : toTime - 30 * 24 * 60 * 60 * 1000;
+  if (fromTime >= toTime) {
+    return res.status(400).json({
+      success: false,
+      error: 'from must be before to'
+    });
+  }
+
+  try {
+    const history = piHistory.getHistory(req.params.piId, { from: fromTime, to: toTime, resolution: resolution || 'auto' });
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: 'No history recorded for this PI'
+      });
+    }
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/pis', authenticateToken, requireAdmin, auditAction('pi.add'), async (req, res) => {
+  const { ip, name, location, description, host, port, scheme, basePath, ca, tlsSkipVerify } = req.body;
+  
+  if (!ip || !name) {
+    return res.status(400).json({
+      success: false,
+      error: 'IP and name are required'
+    });
+  }
+
+  const endpointError = validateEndpoint({ host, port, scheme, basePath, ca, tlsSkipVerify });
+  if (endpointError) {
+    return res.status(400).json({
+      success: false,
+      error: endpointError
+    });
+  }
+  
+  try {
+    const pi = await piDiscovery.registerPI({ ip, name, location, description, host, port, scheme, basePath, ca, tlsSkipVerify });
+    res.json({
+      success: true,
+      piId: pi.id,
+      pi,
+      message: 'PI added successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Edit a Pi: name, location, description and how it is reached
+app.patch('/api/admin/pis/:piId', authenticateToken, requireAdmin, auditAction('pi.update'), async (req, res) => {
+  const { name, location, description, host, port, scheme, basePath, ca, tlsSkipVerify } = req.body;
+
+  const endpointError = validateEndpoint({ host, port, scheme, basePath, ca, tlsSkipVerify });
+  if (endpointError) {
+    return res.status(400).json({
+      success: false,
+      error: endpointError
+    });
+  }
+
+  try {
+    const pi = await piDiscovery.updatePI(req.params.piId, { name, location, description, host, port, scheme, basePath, ca, tlsSkipVerify });
+    if (!pi) {
+      return res.status(404).json({
+        success: false,
+        error: 'PI not found'
+      });
+    }
+    statusCache.invalidate(pi.id);
+    res.json({
+      success: true,
+      pi
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Request signing secrets; the secret itself is only returned when it is generated
+app.get('/api/admin/pis/:piId/signing', authenticateToken, requireAdmin, (req, res) => {
+  if (!piDiscovery.getPI(req.params.piId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'PI not found'
+    });
+  }
+  res.json({
+    success: true,
+    ...piSigner.describe(req.params.piId)
+  });
+});
+
+app.post('/api/admin/pis/:piId/signing/rotate', authenticateToken, requireAdmin, auditAction('pi.signing.rotate'), async (req, res) => {
+  if (!piDiscovery.getPI(req.params.piId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'PI not found'
+    });
+  }
+  try {
+    const key = await piSigner.rotate(req.params.piId);
+    res.status(201).json({
+      success: true,
+      message: key.status === 'active'
+        ? 'Install this secret on the Pi; calls to it are signed from now on'
+        : 'Install this secret on the Pi alongside the current one, then activate it',
+      ...key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/pis/:piId/signing/activate', authenticateToken, requireAdmin, auditAction('pi.signing.activate'), async (req, res) => {
+  try {
+    const result = await piSigner.activate(req.params.piId);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'No staged signing key for this PI'
+      });
+    }
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/pis/:piId/signing', authenticateToken, requireAdmin, auditAction('pi.signing.disable'), async (req, res) => {
+  try {
+    const success = await piSigner.remove(req.params.piId);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Signing is not enabled for this PI'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Calls to this PI are no longer signed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/pis/:piId', authenticateToken, requireAdmin, auditAction('pi.remove'), async (req, res) => {
+  try {
+    const success = await piDiscovery.removePI(req.params.piId);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'PI not found'
+      });
+    }
+    forgetPI(req.params.piId);
+    passthroughProxies.delete(req.params.piId);
+    await piSigner.remove(req.params.piId);
+    res.json({
+      success: true,
+      message: 'PI removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/discover', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const discoveredPis = await piDiscovery.discoverPis();
+    res.json({
+      success: true,
+      discovered: discoveredPis.length,
+      pis: discoveredPis
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Range scanning and Pis waiting for confirmation
+app.get('/api/admin/discovery', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    scan: piDiscovery.getScanState(),
+    pending: piDiscovery.getPendingPIs(),
+    ignored: piDiscovery.getIgnored()
+  });
+});
+
+app.post('/api/admin/discovery/scan', authenticateToken, requireAdmin, auditAction('discovery.scan'), async (req, res) => {
+  try {
+    const scan = await piDiscovery.scanNetwork();
+    res.json({
+      success: true,
+      ...scan
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/discovery/tailscale', authenticateToken, requireAdmin, auditAction('discovery.tailscale'), async (req, res) => {
+  try {
+    const result = await piDiscovery.syncTailscalePeers();
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/discovery/pending/:piId/approve', authenticateToken, requireAdmin, auditAction('pi.approve'), async (req, res) => {
+  try {
+    const pi = await piDiscovery.approvePending(req.params.piId);
+    if (!pi) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending PI not found'
+      });
+    }
+    res.json({
+      success: true,
+      pi
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/discovery/pending/:piId/reject', authenticateToken, requireAdmin, auditAction('pi.reject'), async (req, res) => {
+  try {
+    const pi = await piDiscovery.rejectPending(req.params.piId);
+    if (!pi) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending PI not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: `${pi.ip} will no longer be offered by discovery`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/discovery/ignored/:ip', authenticateToken, requireAdmin, auditAction('discovery.unignore'), async (req, res) => {
+  try {
+    const success = await piDiscovery.unignore(req.params.ip);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address is not ignored'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Address can be discovered again'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/health-check', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const results = await piDiscovery.healthCheck();
+    res.json({
+      success: true,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Admin endpoints for group management
+app.get('/api/admin/groups', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    groups: piDiscovery.getAllGroups()
+  });
+});
+
+app.post('/api/admin/groups', authenticateToken, requireAdmin, auditAction('group.create'), async (req, res) => {
+  const { id, name, description, piIds = [] } = req.body;
+
+  if (!name || !Array.isArray(piIds)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name is required and piIds must be an array'
+    });
+  }
+
+  try {
+    const group = await piDiscovery.createGroup({ id, name, description, piIds });
+    res.json({
+      success: true,
+      group,
+      message: 'Group created successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/groups/:groupId', authenticateToken, requireAdmin, auditAction('group.update'), async (req, res) => {
+  const { name, description, piIds } = req.body;
+
+  if (piIds !== undefined && !Array.isArray(piIds)) {
+    return res.status(400).json({
+      success: false,
+      error: 'piIds must be an array'
+    });
+  }
+
+  try {
+    const group = await piDiscovery.updateGroup(req.params.groupId, { name, description, piIds });
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+    res.json({
+      success: true,
+      group,
+      message: 'Group updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/groups/:groupId', authenticateToken, requireAdmin, auditAction('group.delete'), async (req, res) => {
+  try {
+    const success = await piDiscovery.removeGroup(req.params.groupId);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Group not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Group removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Admin endpoints for the passthrough allowlist
+app.get('/api/admin/passthrough', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    rules: passthrough.getAllRules()
+  });
+});
+
+app.post('/api/admin/passthrough', authenticateToken, requireAdmin, auditAction('passthrough.add'), async (req, res) => {
+  try {
+    const { path, methods, role, description } = req.body;
+    const rule = await passthrough.createRule({ path, methods, role, description });
+    res.json({
+      success: true,
+      rule,
+      message: 'Passthrough rule added successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/passthrough/:ruleId', authenticateToken, requireAdmin, auditAction('passthrough.update'), async (req, res) => {
+  try {
+    const rule = await passthrough.updateRule(req.params.ruleId, req.body);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Passthrough rule not found'
+      });
+    }
+    res.json({
+      success: true,
+      rule,
+      message: 'Passthrough rule updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/passthrough/:ruleId', authenticateToken, requireAdmin, auditAction('passthrough.remove'), async (req, res) => {
+  try {
+    const success = await passthrough.removeRule(req.params.ruleId);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Passthrough rule not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Passthrough rule removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Admin endpoints for scheduled playback
+app.get('/api/admin/schedules', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    schedules: scheduler.getAllRules()
+  });
+});
+
+app.get('/api/admin/schedules/runs', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    runs: scheduler.getRuns({ ruleId: req.query.ruleId, limit: req.query.limit })
+  });
+});
+
+app.post('/api/admin/schedules', authenticateToken, requireAdmin, auditAction('schedule.create'), async (req, res) => {
+  const { name, cron, timezone, action, targets, onMissed, enabled } = req.body;
+
+  try {
+    const schedule = await scheduler.createRule({ name, cron, timezone, action, targets, onMissed, enabled });
+    res.json({
+      success: true,
+      schedule,
+      message: 'Schedule created successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/schedules/:ruleId', authenticateToken, requireAdmin, (req, res) => {
+  const schedule = scheduler.getRule(req.params.ruleId);
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+  }
+  res.json({
+    success: true,
+    schedule,
+    runs: scheduler.getRuns({ ruleId: req.params.ruleId, limit: 20 })
+  });
+});
+
+app.put('/api/admin/schedules/:ruleId', authenticateToken, requireAdmin, auditAction('schedule.update'), async (req, res) => {
+  try {
+    const schedule = await scheduler.updateRule(req.params.ruleId, req.body);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    res.json({
+      success: true,
+      schedule,
+      message: 'Schedule updated successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/admin/schedules/:ruleId', authenticateToken, requireAdmin, auditAction('schedule.delete'), async (req, res) => {
+  try {
+    const success = await scheduler.removeRule(req.params.ruleId);
+    if (!success) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Schedule removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/schedules/:ruleId/run', authenticateToken, requireAdmin, auditAction('schedule.run_now'), async (req, res) => {
+  try {
+    const run = await scheduler.runRule(req.params.ruleId, { trigger: 'manual' });
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    res.json({
+      success: run.status === 'success',
+      run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Error handling middleware
+app.use(errorLogger);
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
     error: 'Endpoint not found'
   });
 });
@@ -481,6 +1957,22 @@ app.use((req, res) => {
 // Start server
 app.listen(PORT, '0.0.0.0', async () => {
   console.log(`🎵 Music Player Proxy Server running on port ${PORT}`);
+
+  // Without its secrets the proxy would call Pis unsigned and the next rotation would wipe the file.
+  // An unreadable auth store or pis.json would be wiped by the next write.
+  try {
+    await piSigner.ready;
+    await authStore.ready;
+    await piDiscovery.ready;
+  } catch (error) {
+    console.error('❌ Refusing to start:', error.message);
+    process.exit(1);
+  }
+
+  // Load history and start alerting before discovery starts reporting Pis
+  await piHistory.start();
+  alerter.start();
+  notifier.start();
   console.log(`🌐 Allowed origins:`, allowedOrigins);
   
   // Initialize PI discovery
@@ -489,26 +1981,45 @@ app.listen(PORT, '0.0.0.0', async () => {
   
   // Start automatic discovery
   piDiscovery.startAutoDiscovery();
+
+  // Load the passthrough allowlist
+  await passthrough.loadRules();
+
+  // Start scheduled playback; a schedules file we can't read is left alone rather than replaced
+  try {
+    await scheduler.start();
+  } catch (error) {
+    console.error('❌ Refusing to start:', error.message);
+    process.exit(1);
+  }
   
   const allPis = piDiscovery.getAllPIs();
   const onlinePis = piDiscovery.getOnlinePIs();
   
   console.log(`📊 Discovered ${allPis.length} Pis (${onlinePis.length} online)`);
   allPis.forEach(pi => {
-    const status = pi.status === 'online' ? '🟢' : '🔴';
+    const status = pi.status === 'online' ? '🟢' : pi.status === 'degraded' ? '🟡' : '🔴';
     console.log(`   ${status} ${pi.name} (${pi.ip})`);
   });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
   piDiscovery.stopAutoDiscovery();
+  scheduler.stop();
+  alerter.stop();
+  notifier.stop();
+  await piHistory.stop().catch(error => console.error('Failed to save availability history:', error));
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
   piDiscovery.stopAutoDiscovery();
+  scheduler.stop();
+  alerter.stop();
+  notifier.stop();
+  await piHistory.stop().catch(error => console.error('Failed to save availability history:', error));
   process.exit(0);
 });
@@ -0,0 +1,59 @@
+/**
+ * Short-TTL cache for Pi status calls
+ * Concurrent callers for the same Pi share one upstream request,
+ * and control commands invalidate the entry so nobody sees stale state
+ */
+
+class StatusCache {
+  constructor({ ttl = 2000 } = {}) {
+    this.ttl = ttl;
+    this.entries = new Map();   // piId -> { data, fetchedAt }
+    this.inFlight = new Map();  // piId -> { promise, generation }
+    this.generations = new Map();
+  }
+
+  // Resolve to { data, fetchedAt, age, cached } using fetcher() on a miss
+  async get(piId, fetcher) {
+    const entry = this.entries.get(piId);
+    if (entry && Date.now() - entry.fetchedAt < this.ttl) {
+      return { data: entry.data, fetchedAt: entry.fetchedAt, age: Date.now() - entry.fetchedAt, cached: true };
+    }
+
+    const generation = this.generations.get(piId) || 0;
+    let request = this.inFlight.get(piId);
+    if (!request || request.generation !== generation) {
+      const started = { generation };
+      started.promise = fetcher()
+        .then(data => {
+          // Only cache if nothing invalidated the entry while we were waiting
+          if ((this.generations.get(piId) || 0) === generation) {
+            this.entries.set(piId, { data, fetchedAt: Date.now() });
+          }
+          return data;
+        })
+        .finally(() => {
+          if (this.inFlight.get(piId) === started) {
+            this.inFlight.delete(piId);
+          }
+        });
+      this.inFlight.set(piId, started);
+      request = started;
+    }
+
+    const data = await request.promise;
+    return { data, fetchedAt: Date.now(), age: 0, cached: false };
+  }
+
+  invalidate(piId) {
+    this.entries.delete(piId);
+    this.generations.set(piId, (this.generations.get(piId) || 0) + 1);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.inFlight.clear();
+    this.generations.clear();
+  }
+}
+
+module.exports = StatusCache;
@@ -43,6 +43,27 @@ try {
   console.log('✗ JWT not found:', e.message);
 }
 
+try {
+  const Busboy = require('busboy');
+  console.log('✓ Busboy loaded');
+} catch (e) {
+  console.log('✗ Busboy not found:', e.message);
+}
+
+try {
+  const promClient = require('prom-client');
+  console.log('✓ Prometheus client loaded');
+} catch (e) {
+  console.log('✗ Prometheus client not found:', e.message);
+}
+
+try {
+  const nodemailer = require('nodemailer');
+  console.log('✓ Nodemailer loaded');
+} catch (e) {
+  console.log('✗ Nodemailer not found:', e.message);
+}
+
 try {
   const PIDiscovery = require('./pi-discovery');
   console.log('✓ PI Discovery module loaded');
@@ -50,6 +71,84 @@ try {
   console.log('✗ PI Discovery not found:', e.message);
 }
 
+try {
+  const CircuitBreaker = require('./circuit-breaker');
+  console.log('✓ Circuit breaker module loaded');
+} catch (e) {
+  console.log('✗ Circuit breaker not found:', e.message);
+}
+
+try {
+  const upload = require('./middleware/upload');
+  console.log('✓ Upload middleware loaded');
+} catch (e) {
+  console.log('✗ Upload middleware not found:', e.message);
+}
+
+try {
+  const PassthroughAllowlist = require('./passthrough');
+  console.log('✓ Passthrough allowlist module loaded');
+} catch (e) {
+  console.log('✗ Passthrough allowlist not found:', e.message);
+}
+
+try {
+  const Alerter = require('./alerting');
+  console.log('✓ Alerting module loaded');
+} catch (e) {
+  console.log('✗ Alerting not found:', e.message);
+}
+
+try {
+  const piEndpoint = require('./pi-endpoint');
+  console.log('✓ Pi endpoint module loaded');
+} catch (e) {
+  console.log('✗ Pi endpoint module not found:', e.message);
+}
+
+try {
+  const PiSigner = require('./pi-signing');
+  const { verifyRequest } = require('./pi-verify');
+  console.log('✓ Pi request signing modules loaded');
+} catch (e) {
+  console.log('✗ Pi request signing modules not found:', e.message);
+}
+
+try {
+  const Notifier = require('./notifier');
+  console.log('✓ Notifier module loaded');
+} catch (e) {
+  console.log('✗ Notifier not found:', e.message);
+}
+
+try {
+  const PiHistory = require('./pi-history');
+  console.log('✓ Pi history module loaded');
+} catch (e) {
+  console.log('✗ Pi history not found:', e.message);
+}
+
+try {
+  const StatusCache = require('./status-cache');
+  console.log('✓ Status cache module loaded');
+} catch (e) {
+  console.log('✗ Status cache not found:', e.message);
+}
+
+try {
+  const Scheduler = require('./scheduler');
+  console.log('✓ Scheduler module loaded');
+} catch (e) {
+  console.log('✗ Scheduler not found:', e.message);
+}
+
+try {
+  const AuthStore = require('./auth-store');
+  console.log('✓ Auth store module loaded');
+} catch (e) {
+  console.log('✗ Auth store not found:', e.message);
+}
+
 try {
   const auth = require('./middleware/auth');
   console.log('✓ Auth middleware loaded');
@@ -64,4 +163,11 @@ try {
   console.log('✗ Monitoring middleware not found:', e.message);
 }
 
+try {
+  const audit = require('./middleware/audit');
+  console.log('✓ Audit middleware loaded');
+} catch (e) {
+  console.log('✗ Audit middleware not found:', e.message);
+}
+
 console.log('\nSetup test complete!');
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./setup');
+
+const { handleAccessRequest, handleApproveRequest, handleCreateUser, handleUpdateUser, authStore } = require('../middleware/auth');
+
+function accessRequest(email = 'guest@resort.com') {
+  return { name: 'Guest', email, reason: 'Front desk', password: 'long-enough-password' };
+}
+
+test('non-string fields are rejected with 400', async () => {
+  const { status } = await invoke(handleAccessRequest, { body: { ...accessRequest(), email: ['a@b.c'] } });
+
+  assert.equal(status, 400);
+});
+
+test('a second pending request for the same email is rejected', async () => {
+  const email = 'pending@resort.com';
+  const first = await invoke(handleAccessRequest, { body: accessRequest(email) });
+  const second = await invoke(handleAccessRequest, { body: accessRequest(email.toUpperCase()) });
+
+  assert.equal(first.status, 200);
+  assert.match(first.body.requestId, /^req-[0-9a-f-]{36}$/);
+  assert.equal(second.status, 409);
+});
+
+test('approving a request for an email that already has an account is rejected', async () => {
+  const email = 'taken@resort.com';
+  const { body: { requestId } } = await invoke(handleAccessRequest, { body: accessRequest(email) });
+  const created = await invoke(handleCreateUser, { body: { name: 'Direct', email, password: 'long-enough-password' } });
+
+  const approval = await invoke(handleApproveRequest, { params: { requestId }, body: {} });
+
+  assert.equal(created.status, 201);
+  assert.equal(approval.status, 409);
+  assert.equal((await authStore.getUser(email)).name, 'Direct');
+  assert.equal((await authStore.getRequest(requestId)).status, 'pending');
+});
+
+test('user updates only store string profile fields', async () => {
+  const { body: { user } } = await invoke(handleCreateUser, { body: { name: 'Ops', email: 'ops@resort.com', password: 'long-enough-password' } });
+
+  for (const body of [{ name: { first: 'Ops' } }, { name: '' }, { organization: 42 }, { phone: ['555'] }]) {
+    const { status } = await invoke(handleUpdateUser, { params: { userId: user.id }, body });
+    assert.equal(status, 400, JSON.stringify(body));
+  }
+
+  const updated = await invoke(handleUpdateUser, { params: { userId: user.id }, body: { name: 'Ops Team', phone: null } });
+  assert.equal(updated.status, 200);
+  assert.equal((await authStore.getUser('ops@resort.com')).name, 'Ops Team');
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+
+require('./setup');
+
+const PIDiscovery = require('../pi-discovery');
+const Alerter = require('../alerting');
+
+const DEBOUNCE_MS = 50;
+
+// Stand-in receiver for the webhook and Slack channels
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, body: JSON.parse(body) });
+    res.end('ok');
+  });
+});
+
+let discovery;
+let alerter;
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const { port } = receiver.address();
+  process.env.ALERT_WEBHOOK_URL = `http://127.0.0.1:${port}/webhook`;
+  process.env.ALERT_SLACK_WEBHOOK_URL = `http://127.0.0.1:${port}/slack`;
+  process.env.ALERT_DEBOUNCE_MS = String(DEBOUNCE_MS);
+  process.env.ALERT_REMINDER_INTERVAL = '0';
+});
+
+after(() => {
+  alerter.stop();
+  receiver.close();
+});
+
+beforeEach(async () => {
+  if (alerter) alerter.stop();
+  received.length = 0;
+  fs.rmSync(process.env.PIS_CONFIG_PATH, { force: true });
+  discovery = new PIDiscovery();
+  await discovery.ready;
+  await discovery.registerPI({ ip: '100.64.0.5', name: 'Lobby' });
+  await discovery.updatePIStatus('pi-100-64-0-5', 'online');
+  alerter = new Alerter({ piDiscovery: discovery });
+  alerter.start();
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForDeliveries(count) {
+  for (let waited = 0; received.length < count && waited < 2000; waited += 10) {
+    await sleep(10);
+  }
+  // Give any unexpected extra delivery a chance to arrive
+  await sleep(DEBOUNCE_MS * 2);
+}
+
+function delivered(path) {
+  return received.filter(delivery => delivery.path === path).map(delivery => delivery.body);
+}
+
+test('an outage sends one alert and one recovery per channel', async () => {
+  await discovery.updatePIStatus('pi-100-64-0-5', 'offline');
+  await waitForDeliveries(2);
+
+  assert.deepEqual(delivered('/webhook').map(alert => alert.type), ['pi.offline']);
+  assert.equal(delivered('/webhook')[0].subject.id, 'pi-100-64-0-5');
+  assert.deepEqual(delivered('/slack'), [{ text: ':red_circle: Lobby is offline' }]);
+
+  // Degraded still fails requests, so it doesn't count as a recovery
+  await discovery.updatePIStatus('pi-100-64-0-5', 'degraded');
+  await discovery.updatePIStatus('pi-100-64-0-5', 'online');
+  await waitForDeliveries(4);
+
+  assert.deepEqual(delivered('/webhook').map(alert => alert.type), ['pi.offline', 'pi.recovered']);
+  assert.equal(delivered('/slack').length, 2);
+  assert.match(delivered('/slack')[1].text, /^:large_green_circle: Lobby is back online after/);
+});
+
+test('a flap shorter than the debounce period sends nothing', async () => {
+  await discovery.updatePIStatus('pi-100-64-0-5', 'offline');
+  await discovery.updatePIStatus('pi-100-64-0-5', 'online');
+  await waitForDeliveries(1);
+
+  assert.equal(received.length, 0);
+});
+
+test('removing an offline Pi closes its alert without a recovery', async () => {
+  await discovery.updatePIStatus('pi-100-64-0-5', 'offline');
+  await waitForDeliveries(2);
+  assert.equal(alerter.getState().incidents.length, 1);
+
+  await discovery.removePI('pi-100-64-0-5');
+  await waitForDeliveries(3);
+
+  assert.deepEqual(alerter.getState().incidents, []);
+  assert.deepEqual(delivered('/webhook').map(alert => alert.type), ['pi.offline']);
+});
+
+test('removing a Pi during the debounce period sends nothing', async () => {
+  await discovery.updatePIStatus('pi-100-64-0-5', 'offline');
+  await discovery.removePI('pi-100-64-0-5');
+  await waitForDeliveries(1);
+
+  assert.equal(received.length, 0);
+});
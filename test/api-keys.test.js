@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./setup');
+
+const {
+  handleCreateApiKey,
+  handleListApiKeys,
+  handleRevokeApiKey,
+  authenticateToken,
+  requirePermission,
+  canAccessPi,
+  authStore
+} = require('../middleware/auth');
+
+const admin = { id: 'admin-1', email: 'admin@resort.com', role: 'admin' };
+
+async function issueKey(body) {
+  const { status, body: response } = await invoke(handleCreateApiKey, { user: admin, body });
+  assert.equal(status, 201);
+  return response;
+}
+
+function authenticate(key) {
+  return invoke(authenticateToken, { headers: { 'x-api-key': key } });
+}
+
+test('an issued mpk_ key authenticates with its role and assignments', async () => {
+  const { key, apiKey } = await issueKey({ name: 'Lobby kiosk', role: 'viewer', piIds: ['pi-lobby'] });
+
+  assert.match(key, /^mpk_/);
+  const { next, req } = await authenticate(key);
+  assert.equal(next, true);
+  assert.equal(req.user.apiKeyId, apiKey.id);
+  assert.equal(req.user.role, 'viewer');
+  assert.equal(canAccessPi(req.user, { id: 'pi-lobby', location: 'Lobby' }), true);
+  assert.equal(canAccessPi(req.user, { id: 'pi-pool', location: 'Pool' }), false);
+
+  const control = await invoke(requirePermission('player:control'), { user: req.user });
+  assert.equal(control.status, 403);
+});
+
+test('only a hash of the key is stored or listed', async () => {
+  const { key, apiKey } = await issueKey({ name: 'Scheduler script' });
+
+  const stored = await authStore.getApiKey(apiKey.id);
+  assert.notEqual(stored.keyHash, key);
+  assert.equal(JSON.stringify(stored).includes(key), false);
+
+  const { body } = await invoke(handleListApiKeys, { user: admin });
+  const listed = body.apiKeys.find(entry => entry.id === apiKey.id);
+  assert.equal(listed.keyHash, undefined);
+  assert.equal(listed.prefix, key.slice(0, 10));
+});
+
+test('unknown and revoked keys are rejected', async () => {
+  const { key, apiKey } = await issueKey({ name: 'Old kiosk' });
+  assert.equal((await authenticate(key)).next, true);
+
+  await invoke(handleRevokeApiKey, { user: admin, params: { keyId: apiKey.id } });
+
+  assert.equal((await authenticate(key)).status, 403);
+  assert.equal((await authenticate('mpk_not-a-real-key')).status, 403);
+});
+
+test('keys need a name and a valid role', async () => {
+  assert.equal((await invoke(handleCreateApiKey, { user: admin, body: {} })).status, 400);
+  assert.equal((await invoke(handleCreateApiKey, { user: admin, body: { name: 'Root', role: 'root' } })).status, 400);
+});
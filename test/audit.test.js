@@ -0,0 +1,58 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { tmpDir } = require('./setup');
+const auditDir = path.join(tmpDir, 'audit');
+process.env.AUDIT_LOG_FILE = path.join(auditDir, 'audit.log');
+process.env.AUDIT_LOG_MAX_SIZE = '2048';
+
+const { recordAudit, queryAudit } = require('../middleware/audit');
+
+beforeEach(() => {
+  fs.rmSync(auditDir, { recursive: true, force: true });
+  fs.mkdirSync(auditDir);
+});
+
+async function recordCommands(count) {
+  for (let i = 0; i < count; i++) {
+    await recordAudit({ action: 'player.control', piId: i % 2 ? 'pi-pool' : 'pi-lobby', command: `cmd-${i}` });
+  }
+}
+
+test('a full audit log is rotated and rotated files are still searched', async () => {
+  await recordCommands(60);
+
+  const files = fs.readdirSync(auditDir);
+  assert.ok(files.length > 1);
+  assert.ok(files.every(file => file === 'audit.log' || /^audit-.+\.log$/.test(file)));
+
+  const all = await queryAudit({ limit: 200 });
+  assert.equal(all.total, 60);
+  assert.equal(all.entries[0].command, 'cmd-59');
+  assert.equal(all.entries[59].command, 'cmd-0');
+});
+
+test('pages run newest first across files', async () => {
+  await recordCommands(60);
+
+  const second = await queryAudit({ piId: 'pi-pool', limit: 10, page: 2 });
+
+  assert.equal(second.total, 30);
+  assert.equal(second.pages, 3);
+  assert.deepEqual(
+    second.entries.map(entry => entry.command),
+    [39, 37, 35, 33, 31, 29, 27, 25, 23, 21].map(i => `cmd-${i}`)
+  );
+});
+
+test('concurrent writes are all kept', async () => {
+  await Promise.all(Array.from({ length: 40 }, (_, i) => recordAudit({ action: 'player.control', command: `cmd-${i}` })));
+
+  assert.equal((await queryAudit({ limit: 200 })).total, 40);
+});
+
+test('a missing audit log returns no entries', async () => {
+  assert.deepEqual((await queryAudit()).entries, []);
+});
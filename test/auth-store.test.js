@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { tmpDir } = require('./setup');
+
+const AuthStore = require('../auth-store');
+
+let stores = 0;
+
+function tmpPath() {
+  return path.join(tmpDir, `auth-${++stores}.json`);
+}
+
+test('a fresh store writes nothing until its first change', async () => {
+  const filePath = tmpPath();
+  const store = new AuthStore(filePath);
+  await store.ready;
+
+  assert.equal(fs.existsSync(filePath), false);
+
+  await store.saveUser({ id: 'user-1', email: 'ops@resort.com', role: 'operator' });
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(saved.users['ops@resort.com'].id, 'user-1');
+});
+
+test('a corrupt store is reported and never overwritten', async () => {
+  const filePath = tmpPath();
+  fs.writeFileSync(filePath, '{"users": {');
+  const store = new AuthStore(filePath);
+
+  await assert.rejects(store.ready, /Failed to read auth store/);
+  await assert.rejects(store.saveUser({ id: 'user-1', email: 'ops@resort.com' }), /Failed to read auth store/);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), '{"users": {');
+});
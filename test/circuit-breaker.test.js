@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CircuitBreaker = require('../circuit-breaker');
+
+// An open breaker whose reset timeout has already passed
+function readyForTrial() {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+  breaker.recordFailure();
+  breaker.openedAt -= 1000;
+  return breaker;
+}
+
+test('closed breakers let everything through', () => {
+  const breaker = new CircuitBreaker();
+
+  assert.equal(breaker.isOpen(), false);
+  assert.equal(breaker.acquire(), true);
+  assert.equal(breaker.acquire(), true);
+});
+
+test('an open breaker refuses requests until its reset timeout', () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000 });
+  breaker.recordFailure();
+  assert.equal(breaker.isOpen(), false);
+  breaker.recordFailure();
+
+  assert.equal(breaker.isOpen(), true);
+  assert.equal(breaker.acquire(), false);
+  assert.ok(breaker.retryAfter() > 0);
+});
+
+test('isOpen has no side effects', () => {
+  const breaker = readyForTrial();
+
+  assert.equal(breaker.isOpen(), false);
+  assert.equal(breaker.isOpen(), false);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.acquire(), true);
+});
+
+test('half-open allows exactly one trial', () => {
+  const breaker = readyForTrial();
+
+  assert.equal(breaker.acquire(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.isOpen(), true);
+  assert.equal(breaker.acquire(), false);
+});
+
+test('the trial result closes or re-opens the circuit', () => {
+  const succeeded = readyForTrial();
+  succeeded.acquire();
+  succeeded.recordSuccess();
+  assert.equal(succeeded.state, 'closed');
+  assert.equal(succeeded.acquire(), true);
+
+  const failed = readyForTrial();
+  failed.acquire();
+  failed.recordFailure();
+  assert.equal(failed.state, 'open');
+  assert.equal(failed.acquire(), false);
+});
+
+test('a released trial can be taken by the next request', () => {
+  const breaker = readyForTrial();
+  breaker.acquire();
+
+  // e.g. the upload was rejected or the role check failed before the Pi was called
+  breaker.release();
+
+  assert.equal(breaker.isOpen(), false);
+  assert.equal(breaker.acquire(), true);
+});
+
+test('trip opens the circuit immediately', () => {
+  const breaker = new CircuitBreaker();
+  breaker.trip();
+
+  assert.equal(breaker.isOpen(), true);
+});
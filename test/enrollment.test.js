@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+
+const PIDiscovery = require('../pi-discovery');
+
+const poolToken = { id: 'et-pool', location: 'Pool', autoApprove: true };
+const spaToken = { id: 'et-spa', location: 'Spa', autoApprove: false };
+
+let discovery;
+
+beforeEach(async () => {
+  fs.rmSync(process.env.PIS_CONFIG_PATH, { force: true });
+  discovery = new PIDiscovery();
+  await discovery.ready;
+  await discovery.registerPI({ ip: '100.64.0.5', name: 'Lobby', location: 'Lobby' });
+});
+
+test('new device on an auto-approving token is approved with the token location', async () => {
+  const { pi, approved } = await discovery.enrollPI(
+    { deviceId: 'Pool Bar', ip: '100.64.0.20', name: 'Pool Bar', location: 'Lobby' },
+    poolToken
+  );
+
+  assert.equal(approved, true);
+  assert.equal(pi.id, 'pi-pool-bar');
+  assert.equal(pi.location, 'Pool');
+  assert.equal(discovery.getPI('pi-pool-bar'), pi);
+});
+
+test('new device on a token without auto-approve waits for approval', async () => {
+  const { pi, approved } = await discovery.enrollPI({ deviceId: 'spa-1', ip: '100.64.0.21' }, spaToken);
+
+  assert.equal(approved, false);
+  assert.equal(discovery.getPI(pi.id), undefined);
+  assert.equal(discovery.getPendingPIs().length, 1);
+});
+
+test('claiming the ID of an admin-added Pi does not touch it and needs approval', async () => {
+  const { pi, approved } = await discovery.enrollPI(
+    { deviceId: '100-64-0-5', ip: '100.64.0.99', name: 'Evil', port: 8080 },
+    poolToken
+  );
+
+  assert.equal(approved, false);
+  assert.equal(pi.replaces, 'pi-100-64-0-5');
+  const lobby = discovery.getPI('pi-100-64-0-5');
+  assert.equal(lobby.ip, '100.64.0.5');
+  assert.equal(lobby.name, 'Lobby');
+  assert.equal(lobby.enrollmentTokenId, undefined);
+});
+
+test('claiming the address of an admin-added Pi does not touch it and needs approval', async () => {
+  const { pi, approved } = await discovery.enrollPI({ deviceId: 'something-else', ip: '100.64.0.5' }, poolToken);
+
+  assert.equal(approved, false);
+  assert.equal(pi.id, 'pi-100-64-0-5');
+  assert.equal(discovery.getPI('pi-100-64-0-5').enrollmentTokenId, undefined);
+});
+
+test('a heartbeat for a pending claim does not count for the existing Pi', async () => {
+  await discovery.enrollPI({ deviceId: '100-64-0-5', ip: '100.64.0.99' }, poolToken);
+  const pi = await discovery.heartbeat('pi-100-64-0-5', {}, poolToken);
+
+  assert.notEqual(pi, discovery.getPI('pi-100-64-0-5'));
+  assert.equal(pi.status, 'pending');
+});
+
+test('approving a claim replaces the existing Pi', async () => {
+  await discovery.enrollPI({ deviceId: '100-64-0-5', ip: '100.64.0.99' }, poolToken);
+  const pi = await discovery.approvePending('pi-100-64-0-5');
+
+  assert.equal(discovery.getPI('pi-100-64-0-5'), pi);
+  assert.equal(pi.ip, '100.64.0.99');
+  assert.equal(pi.replaces, undefined);
+});
+
+test('a device enrolled with one token cannot be re-registered with another', async () => {
+  await discovery.enrollPI({ deviceId: 'pool-bar', ip: '100.64.0.20' }, poolToken);
+
+  await assert.rejects(
+    discovery.enrollPI({ deviceId: 'pool-bar', ip: '100.64.0.66' }, spaToken),
+    /different token/
+  );
+  await assert.rejects(discovery.heartbeat('pi-pool-bar', {}, spaToken), /different token/);
+  assert.equal(discovery.getPI('pi-pool-bar').ip, '100.64.0.20');
+});
+
+test('re-registering keeps the admin-set name and location', async () => {
+  await discovery.enrollPI({ deviceId: 'pool-bar', ip: '100.64.0.20', name: 'Pool Bar' }, poolToken);
+  await discovery.updatePI('pi-pool-bar', { name: 'Pool Bar (north)', location: 'Pool North' });
+
+  const { pi, approved } = await discovery.enrollPI(
+    { deviceId: 'pool-bar', ip: '100.64.0.21', name: 'Renamed' },
+    poolToken
+  );
+
+  assert.equal(approved, true);
+  assert.equal(pi.ip, '100.64.0.21');
+  assert.equal(pi.name, 'Pool Bar (north)');
+  assert.equal(pi.location, 'Pool North');
+});
+
+test('rejected addresses cannot enroll', async () => {
+  await discovery.enrollPI({ deviceId: 'spa-1', ip: '100.64.0.21' }, spaToken);
+  await discovery.rejectPending('pi-spa-1');
+
+  await assert.rejects(discovery.enrollPI({ deviceId: 'spa-2', ip: '100.64.0.21' }, spaToken), /rejected/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { invoke } = require('./setup');
+process.env.EVENTS_SESSION_CHECK_INTERVAL = '20';
+
+const { createEventStream, publishEvent, getSubscriberCount } = require('../middleware/events');
+const { handleCreateApiKey, handleRevokeApiKey, revalidateCaller } = require('../middleware/auth');
+
+const canSee = (user, piId) => user.piIds.includes(piId);
+
+// Open a stream against a stub request; ended resolves once the server closes it
+function openStream(user, revalidate, headers = {}) {
+  const req = new EventEmitter();
+  Object.assign(req, { user, headers });
+  const res = { chunks: [] };
+  res.ended = new Promise(resolve => {
+    Object.assign(res, {
+      writeHead() {},
+      write(chunk) { res.chunks.push(chunk); },
+      end() { resolve(); req.emit('close'); }
+    });
+  });
+  createEventStream(canSee, { revalidate })(req, res);
+  return { req, res, text: () => res.chunks.join('') };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the stream ends with session.expired once the session is gone', async () => {
+  let valid = true;
+  const stream = openStream({ piIds: ['pi-lobby'] }, async () => (valid ? { piIds: ['pi-lobby'] } : null));
+
+  await wait(50);
+  assert.doesNotMatch(stream.text(), /session\.expired/);
+
+  valid = false;
+  await stream.res.ended;
+  assert.match(stream.text(), /event: session\.expired\ndata: \{\}\n\n$/);
+  assert.equal(getSubscriberCount(), 0);
+});
+
+test('a failed revalidation ends the stream as well', async () => {
+  const stream = openStream({ piIds: [] }, async () => { throw new Error('store unavailable'); });
+  await stream.res.ended;
+  assert.match(stream.text(), /session\.expired/);
+});
+
+test('revalidation picks up changed assignments', async () => {
+  let piIds = ['pi-lobby', 'pi-pool'];
+  const stream = openStream({ piIds }, async () => ({ piIds }));
+
+  publishEvent('pi.status', { piId: 'pi-pool', status: 'online' });
+  piIds = ['pi-lobby'];
+  await wait(50);
+  publishEvent('pi.status', { piId: 'pi-pool', status: 'offline' });
+  publishEvent('pi.status', { piId: 'pi-lobby', status: 'online' });
+  stream.req.emit('close');
+
+  const events = stream.text().match(/data: .*/g).map(line => JSON.parse(line.slice(6)));
+  assert.deepEqual(events.map(event => [event.piId, event.status]), [
+    ['pi-pool', 'online'],
+    ['pi-lobby', 'online']
+  ]);
+});
+
+test('revoking the API key behind a stream ends it', async () => {
+  const admin = { id: 'admin-1', email: 'admin@resort.com', role: 'admin' };
+  const { body } = await invoke(handleCreateApiKey, { user: admin, body: { name: 'Wall display', role: 'viewer' } });
+  const headers = { 'x-api-key': body.key };
+  const user = await revalidateCaller({ headers });
+  assert.equal(user.apiKeyId, body.apiKey.id);
+
+  const stream = openStream({ ...user, piIds: [] }, revalidateCaller, headers);
+  await wait(50);
+  await invoke(handleRevokeApiKey, { user: admin, params: { keyId: body.apiKey.id } });
+  await stream.res.ended;
+  assert.match(stream.text(), /session\.expired/);
+});
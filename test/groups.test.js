@@ -0,0 +1,48 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+
+const PIDiscovery = require('../pi-discovery');
+
+let discovery;
+
+beforeEach(async () => {
+  fs.rmSync(process.env.PIS_CONFIG_PATH, { force: true });
+  discovery = new PIDiscovery();
+  await discovery.ready;
+  await discovery.registerPI({ ip: '100.64.0.5', name: 'Lobby' });
+  await discovery.registerPI({ ip: '100.64.0.6', name: 'Pool' });
+});
+
+test('groups survive a restart', async () => {
+  await discovery.createGroup({ name: 'Pool Deck', piIds: ['pi-100-64-0-6'] });
+
+  const reloaded = new PIDiscovery();
+  await reloaded.ready;
+
+  assert.deepEqual(reloaded.getGroup('pool-deck').piIds, ['pi-100-64-0-6']);
+});
+
+test('groups only take known Pis', async () => {
+  await assert.rejects(discovery.createGroup({ name: 'Ghosts', piIds: ['pi-ghost'] }), /Unknown Pi IDs: pi-ghost/);
+});
+
+test('overlapping saves leave a complete file', async () => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) => discovery.createGroup({ name: `Zone ${i}`, piIds: ['pi-100-64-0-5'] })));
+
+  const saved = JSON.parse(fs.readFileSync(process.env.PIS_CONFIG_PATH, 'utf8'));
+  assert.equal(Object.keys(saved.groups).length, 20);
+  assert.equal(Object.keys(saved.pis).length, 2);
+  assert.equal(fs.existsSync(`${process.env.PIS_CONFIG_PATH}.tmp`), false);
+});
+
+test('a corrupt pis.json is reported and never overwritten', async () => {
+  fs.writeFileSync(process.env.PIS_CONFIG_PATH, '{"groups": {');
+  const broken = new PIDiscovery();
+
+  await assert.rejects(broken.ready, /Failed to parse PI config/);
+  await assert.rejects(broken.createGroup({ name: 'Lobby' }), /Failed to parse PI config/);
+  assert.equal(fs.readFileSync(process.env.PIS_CONFIG_PATH, 'utf8'), '{"groups": {');
+});
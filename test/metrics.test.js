@@ -0,0 +1,48 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./setup');
+const { requireScrapeAccess, getPrometheusMetrics } = require('../middleware/monitoring');
+
+beforeEach(() => {
+  delete process.env.METRICS_TOKEN;
+  delete process.env.METRICS_ALLOWED_IPS;
+});
+
+const scrape = (req = {}) => invoke(requireScrapeAccess, req);
+
+test('the endpoint stays closed until scraping is configured', async () => {
+  const { status, body } = await scrape({ ip: '127.0.0.1' });
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Metrics scraping is not configured');
+});
+
+test('scrapers can authenticate with the bearer token', async () => {
+  process.env.METRICS_TOKEN = 'scrape-secret';
+
+  assert.equal((await scrape({ headers: { authorization: 'Bearer scrape-secret' } })).next, true);
+
+  const wrong = await scrape({ headers: { authorization: 'Bearer scrape-secre' } });
+  assert.equal(wrong.status, 403);
+  assert.equal(wrong.body.error, 'Metrics access denied');
+  assert.equal((await scrape({ headers: { authorization: 'scrape-secret' } })).status, 403);
+  assert.equal((await scrape()).status, 403);
+});
+
+test('allowed addresses and ranges can scrape without a token', async () => {
+  process.env.METRICS_ALLOWED_IPS = '10.0.5.20, 100.64.0.0/10';
+
+  assert.equal((await scrape({ ip: '10.0.5.20' })).next, true);
+  assert.equal((await scrape({ ip: '::ffff:10.0.5.20' })).next, true);
+  assert.equal((await scrape({ ip: '100.101.102.103' })).next, true);
+  assert.equal((await scrape({ ip: '100.128.0.1' })).status, 403);
+  assert.equal((await scrape({ ip: '10.0.5.21' })).status, 403);
+  assert.equal((await scrape({ ip: '::1' })).status, 403);
+});
+
+test('the scrape returns the Prometheus text format', async () => {
+  const { contentType, body } = await getPrometheusMetrics();
+  assert.match(contentType, /^text\/plain/);
+  assert.match(body, /# TYPE music_proxy_http_requests_total counter/);
+  assert.match(body, /# TYPE music_proxy_pi_up gauge/);
+});
@@ -0,0 +1,133 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+const Notifier = require('../notifier');
+
+const RETRY_DELAY = 60000;
+
+beforeEach(() => {
+  fs.rmSync(process.env.NOTIFY_OUTBOX_PATH, { force: true });
+});
+
+// Notifier whose transport fails the first `failures` sends and records every attempt
+function notifierWith(failures = 0) {
+  const notifier = new Notifier();
+  const sent = [];
+  notifier.registerTransport('test', async message => {
+    if (failures > 0) {
+      failures--;
+      throw new Error('SMTP connection refused');
+    }
+    sent.push(message);
+  });
+  notifier.transport = 'test';
+  notifier.maxAttempts = 3;
+  notifier.retryDelay = RETRY_DELAY;
+  return { notifier, sent };
+}
+
+// Make a waiting message due now and run a delivery pass
+async function retryNow(notifier, message) {
+  message.nextAttemptAt = new Date().toISOString();
+  await notifier.processOutbox();
+}
+
+function savedMessage(id) {
+  return JSON.parse(fs.readFileSync(process.env.NOTIFY_OUTBOX_PATH, 'utf8')).messages[id];
+}
+
+test('messages are rendered, delivered and kept as sent', async () => {
+  const { notifier, sent } = notifierWith();
+  const message = await notifier.enqueue('access_request.rejected', 'guest@example.com', { name: 'Sam', rejectionReason: null });
+  await notifier.processOutbox();
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, ['guest@example.com']);
+  assert.match(sent[0].text, /^Hi Sam,/);
+  assert.match(sent[0].text, /Reason: $/);
+  assert.equal(savedMessage(message.id).status, 'sent');
+  assert.equal(savedMessage(message.id).attempts, 1);
+});
+
+test('failed deliveries back off exponentially, then give up', async () => {
+  const { notifier, sent } = notifierWith(Infinity);
+  const message = await notifier.enqueue('access_request.approved', 'guest@example.com', { name: 'Sam' });
+  await notifier.processOutbox();
+
+  const delays = [];
+  for (let attempt = 1; attempt < notifier.maxAttempts; attempt++) {
+    assert.equal(message.status, 'pending');
+    assert.equal(message.attempts, attempt);
+    delays.push(Date.parse(message.nextAttemptAt) - Date.now());
+
+    // Not due yet, so another pass leaves it alone
+    await notifier.processOutbox();
+    assert.equal(message.attempts, attempt);
+    await retryNow(notifier, message);
+  }
+
+  assert.ok(Math.abs(delays[0] - RETRY_DELAY) < 1000);
+  assert.ok(Math.abs(delays[1] - 2 * RETRY_DELAY) < 1000);
+  assert.equal(message.status, 'failed');
+  assert.equal(message.attempts, 3);
+  assert.equal(message.lastError, 'SMTP connection refused');
+  assert.equal(savedMessage(message.id).status, 'failed');
+  assert.equal(sent.length, 0);
+
+  // Failed messages stay put until someone retries them
+  await retryNow(notifier, message);
+  assert.equal(message.attempts, 3);
+  assert.deepEqual((await notifier.listOutbox({ status: 'failed' })).map(entry => entry.id), [message.id]);
+});
+
+test('a retried message gets a fresh round of attempts', async () => {
+  const { notifier, sent } = notifierWith(3);
+  const message = await notifier.enqueue('access_request.approved', 'guest@example.com', { name: 'Sam' });
+  await notifier.processOutbox();
+  await retryNow(notifier, message);
+  await retryNow(notifier, message);
+  assert.equal(message.status, 'failed');
+
+  await notifier.retry(message.id);
+  await notifier.processOutbox();
+  assert.equal(message.status, 'sent');
+  assert.equal(message.attempts, 1);
+  assert.equal(message.lastError, null);
+  assert.equal(sent.length, 1);
+
+  await assert.rejects(notifier.retry(message.id), /already sent/);
+  assert.equal(await notifier.retry('msg-unknown'), null);
+});
+
+test('pending messages survive a restart', async () => {
+  const { notifier } = notifierWith(1);
+  const message = await notifier.enqueue('access_request.approved', 'guest@example.com', { name: 'Sam' });
+  await notifier.processOutbox();
+  assert.equal(savedMessage(message.id).status, 'pending');
+
+  const restarted = notifierWith();
+  const reloaded = (await restarted.notifier.listOutbox())[0];
+  await retryNow(restarted.notifier, reloaded);
+  assert.equal(restarted.sent.length, 1);
+  assert.equal(savedMessage(message.id).status, 'sent');
+  assert.equal(savedMessage(message.id).attempts, 2);
+});
+
+test('an unknown transport counts as a failed attempt', async () => {
+  const { notifier } = notifierWith();
+  notifier.transport = 'carrier-pigeon';
+  const message = await notifier.enqueue('access_request.approved', 'guest@example.com', {});
+  await notifier.processOutbox();
+
+  assert.equal(message.status, 'pending');
+  assert.match(message.lastError, /Unknown notification transport/);
+});
+
+test('unknown templates and empty recipient lists are not queued', async () => {
+  const { notifier } = notifierWith();
+  await assert.rejects(notifier.enqueue('access_request.unknown', 'guest@example.com'), /Unknown notification template/);
+  assert.equal(await notifier.enqueue('access_request.admin', [null, '']), null);
+  assert.equal((await notifier.listOutbox()).length, 0);
+});
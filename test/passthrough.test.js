@@ -0,0 +1,84 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+const PassthroughAllowlist = require('../passthrough');
+const { matchPath } = PassthroughAllowlist;
+
+beforeEach(() => {
+  fs.rmSync(process.env.PASSTHROUGH_CONFIG_PATH, { force: true });
+});
+
+test('patterns match exact segments, :name and a trailing *', () => {
+  assert.equal(matchPath('/api/settings', '/api/settings'), true);
+  assert.equal(matchPath('/api/settings', '/api/settings/volume'), false);
+  assert.equal(matchPath('/api/playlists/:id', '/api/playlists/42'), true);
+  assert.equal(matchPath('/api/playlists/:id', '/api/playlists'), false);
+  assert.equal(matchPath('/api/playlists/:id', '/api/playlists/42/tracks'), false);
+  assert.equal(matchPath('/api/playlists/*', '/api/playlists/42/tracks'), true);
+  assert.equal(matchPath('/api/playlists/*', '/api/playlists'), false);
+});
+
+test('paths that could escape a pattern never match', () => {
+  assert.equal(matchPath('/api/playlists/*', '/api/playlists/../system/reboot'), false);
+  assert.equal(matchPath('/api/playlists/:id', '/api/playlists/..'), false);
+  assert.equal(matchPath('/api/playlists/*', '/api/playlists/a\\..\\b'), false);
+});
+
+test('nothing is allowed until a rule exists', async () => {
+  const allowlist = new PassthroughAllowlist();
+  await allowlist.loadRules();
+  assert.equal(allowlist.findRule('GET', '/api/settings'), null);
+});
+
+test('rules are matched by method as well as path', async () => {
+  const allowlist = new PassthroughAllowlist();
+  await allowlist.loadRules();
+  await allowlist.createRule({ path: '/api/settings', methods: ['get'], role: 'viewer' });
+
+  assert.equal(allowlist.findRule('get', '/api/settings').role, 'viewer');
+  assert.equal(allowlist.findRule('PUT', '/api/settings'), null);
+});
+
+test('the most restrictive matching rule wins', async () => {
+  const allowlist = new PassthroughAllowlist();
+  await allowlist.loadRules();
+  await allowlist.createRule({ path: '/api/playlists/*', methods: ['GET', 'POST'], role: 'viewer' });
+  await allowlist.createRule({ path: '/api/playlists/:id', methods: ['POST'], role: 'admin' });
+
+  assert.equal(allowlist.findRule('POST', '/api/playlists/42').role, 'admin');
+  assert.equal(allowlist.findRule('GET', '/api/playlists/42').role, 'viewer');
+  assert.equal(allowlist.findRule('POST', '/api/playlists/42/tracks').role, 'viewer');
+});
+
+test('invalid rules are rejected', async () => {
+  const allowlist = new PassthroughAllowlist();
+  await allowlist.loadRules();
+
+  await assert.rejects(allowlist.createRule({ path: 'api/settings' }), /absolute Pi path/);
+  await assert.rejects(allowlist.createRule({ path: '/api/../system' }), /absolute Pi path/);
+  await assert.rejects(allowlist.createRule({ path: '/api/*/settings' }), /last path segment/);
+  await assert.rejects(allowlist.createRule({ path: '/api/settings', methods: ['TRACE'] }), /Invalid methods/);
+  await assert.rejects(allowlist.createRule({ path: '/api/settings', methods: [] }), /Invalid methods/);
+  await assert.rejects(allowlist.createRule({ path: '/api/settings', role: 'root' }), /Invalid role/);
+  assert.equal(allowlist.getAllRules().length, 0);
+});
+
+test('rules default to GET for admins and survive a restart', async () => {
+  const allowlist = new PassthroughAllowlist();
+  await allowlist.loadRules();
+  const rule = await allowlist.createRule({ path: '/api/system/logs' });
+  assert.deepEqual(rule.methods, ['GET']);
+  assert.equal(rule.role, 'admin');
+
+  await allowlist.updateRule(rule.id, { id: 'pt-other', role: 'operator' });
+
+  const reloaded = new PassthroughAllowlist();
+  await reloaded.loadRules();
+  assert.equal(reloaded.getRule(rule.id).role, 'operator');
+  assert.equal(reloaded.getRule('pt-other'), undefined);
+
+  assert.equal(await reloaded.removeRule(rule.id), true);
+  assert.equal(await reloaded.removeRule(rule.id), false);
+});
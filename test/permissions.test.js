@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./setup');
+
+const { requirePermission, requireRole, requireAdmin, hasPermission, ROLES } = require('../middleware/auth');
+
+// Expected access for each role: [player:read, player:control, admin:manage]
+const MATRIX = {
+  viewer: [true, false, false],
+  operator: [true, true, false],
+  admin: [true, true, true]
+};
+const PERMISSIONS = ['player:read', 'player:control', 'admin:manage'];
+
+async function allowed(middleware, role) {
+  const result = await invoke(middleware, { user: { id: 'user-1', role } });
+  if (!result.next) {
+    assert.equal(result.status, 403);
+  }
+  return result.next === true;
+}
+
+test('every role is covered by the matrix', () => {
+  assert.deepEqual(Object.keys(MATRIX), ROLES);
+});
+
+test('permissions follow the viewer < operator < admin matrix', async () => {
+  for (const [role, expected] of Object.entries(MATRIX)) {
+    for (const [i, permission] of PERMISSIONS.entries()) {
+      assert.equal(hasPermission(role, permission), expected[i], `${role} ${permission}`);
+      assert.equal(await allowed(requirePermission(permission), role), expected[i], `${role} ${permission}`);
+    }
+  }
+});
+
+test('requireRole admits the role and anything above it', async () => {
+  assert.equal(await allowed(requireRole('operator'), 'viewer'), false);
+  assert.equal(await allowed(requireRole('operator'), 'operator'), true);
+  assert.equal(await allowed(requireRole('operator'), 'admin'), true);
+});
+
+test('only admins pass requireAdmin', async () => {
+  assert.equal(await allowed(requireAdmin, 'viewer'), false);
+  assert.equal(await allowed(requireAdmin, 'operator'), false);
+  assert.equal(await allowed(requireAdmin, 'admin'), true);
+});
+
+test('unknown roles have no permissions', async () => {
+  for (const permission of PERMISSIONS) {
+    assert.equal(hasPermission('superuser', permission), false);
+    assert.equal(await allowed(requirePermission(permission), 'superuser'), false);
+  }
+});
+
+test('unauthenticated requests are rejected with 401', async () => {
+  const { status } = await invoke(requirePermission('player:read'));
+
+  assert.equal(status, 401);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./setup');
+
+const { canAccessPi } = require('../middleware/auth');
+
+const lobby = { id: 'pi-lobby', location: 'Lobby' };
+const pool = { id: 'pi-pool', location: 'Pool' };
+
+test('users without assignments reach no players', () => {
+  assert.equal(canAccessPi({ role: 'operator', assignments: null }, lobby), false);
+  assert.equal(canAccessPi({ role: 'viewer', assignments: { piIds: [], locations: [] } }, lobby), false);
+  assert.equal(canAccessPi(null, lobby), false);
+});
+
+test('users reach Pis assigned by ID or location only', () => {
+  const byId = { role: 'operator', assignments: { piIds: ['pi-lobby'], locations: [] } };
+  const byLocation = { role: 'operator', assignments: { piIds: [], locations: ['Pool'] } };
+
+  assert.equal(canAccessPi(byId, lobby), true);
+  assert.equal(canAccessPi(byId, pool), false);
+  assert.equal(canAccessPi(byLocation, pool), true);
+  assert.equal(canAccessPi(byLocation, lobby), false);
+});
+
+test('allPis grants every player explicitly', () => {
+  const everywhere = { role: 'operator', assignments: { piIds: [], locations: [], allPis: true } };
+
+  assert.equal(canAccessPi(everywhere, lobby), true);
+  assert.equal(canAccessPi(everywhere, pool), true);
+});
+
+test('admins reach every player', () => {
+  assert.equal(canAccessPi({ role: 'admin', assignments: null }, pool), true);
+});
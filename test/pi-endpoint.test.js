@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { baseUrl, resolveEndpoint, applyEndpoint, requestOptions } = require('../pi-endpoint');
+
+test('plain Pis are reached on port 5000', () => {
+  assert.equal(baseUrl({ ip: '100.64.0.5' }), 'http://100.64.0.5:5000');
+});
+
+test('https without a port uses 443', () => {
+  const pi = { ip: '100.64.0.5', scheme: 'https', basePath: '/player' };
+
+  assert.equal(baseUrl(pi), 'https://100.64.0.5:443/player');
+  assert.equal(requestOptions(pi, '/api/status').options.port, 443);
+});
+
+test('switching an existing record to https without a port moves it to 443', () => {
+  // Records written before endpoints were configurable carry port 5000
+  const pi = applyEndpoint({ ip: '100.64.0.5', port: 5000 }, { scheme: 'https' });
+
+  assert.equal(pi.port, undefined);
+  assert.equal(resolveEndpoint(pi).port, 443);
+});
+
+test('an explicit port is kept when the scheme changes', () => {
+  const pi = applyEndpoint({ ip: '100.64.0.5', port: 5000 }, { scheme: 'https', port: 8443 });
+
+  assert.equal(baseUrl(pi), 'https://100.64.0.5:8443');
+});
+
+test('changing other fields keeps a custom port', () => {
+  const pi = applyEndpoint({ ip: '100.64.0.5', scheme: 'https', port: 8443 }, { basePath: '/player' });
+
+  assert.equal(baseUrl(pi), 'https://100.64.0.5:8443/player');
+});
+
+test('null resets a field to its default', () => {
+  const pi = applyEndpoint({ ip: '100.64.0.5', host: 'lobby-pi', scheme: 'https' }, { host: null, scheme: '' });
+
+  assert.equal(baseUrl(pi), 'http://100.64.0.5:5000');
+});
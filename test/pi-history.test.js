@@ -0,0 +1,131 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+const PiHistory = require('../pi-history');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Samples are recorded in the past, so start the series a few hours back on an hour boundary
+const base = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR;
+
+function historyFor(piId) {
+  const history = new PiHistory();
+  history.getSeries(piId).firstSeen = base;
+  return history;
+}
+
+beforeEach(() => {
+  fs.rmSync(process.env.HISTORY_PATH, { force: true });
+});
+
+test('samples roll up per minute and per hour', () => {
+  const history = historyFor('pi-lobby');
+  history.record('pi-lobby', { up: true, latencyMs: 40, at: base + 10 * 1000 });
+  history.record('pi-lobby', { up: false, at: base + 20 * 1000 });
+  history.record('pi-lobby', { up: true, latencyMs: 80, at: base + 70 * 1000 });
+
+  const minutes = history.getHistory('pi-lobby', { from: base, to: base + 5 * MINUTE, resolution: 'minute' });
+  assert.deepEqual(minutes.points.map(point => [point.t, point.samples, point.availability]), [
+    [new Date(base).toISOString(), 2, 50],
+    [new Date(base + MINUTE).toISOString(), 1, 100]
+  ]);
+
+  const hours = history.getHistory('pi-lobby', { from: base, to: base + HOUR, resolution: 'hour' });
+  assert.equal(hours.points.length, 1);
+  assert.equal(hours.points[0].samples, 3);
+  assert.equal(hours.points[0].latency.samples, 2);
+  assert.equal(hours.points[0].latency.avg, 60);
+});
+
+test('outages are exact intervals clipped to the window', () => {
+  const history = historyFor('pi-lobby');
+  history.record('pi-lobby', { up: true, at: base });
+  history.record('pi-lobby', { up: false, at: base + 50 * MINUTE });
+  history.record('pi-lobby', { up: false, at: base + 55 * MINUTE });
+  history.record('pi-lobby', { up: true, at: base + 70 * MINUTE });
+
+  const firstHour = history.getHistory('pi-lobby', { from: base, to: base + HOUR });
+  assert.equal(firstHour.monitoredMs, HOUR);
+  assert.equal(firstHour.downtimeMs, 10 * MINUTE);
+  assert.equal(firstHour.uptimePercent, 83.333);
+  assert.deepEqual(firstHour.outages, [{
+    start: new Date(base + 50 * MINUTE).toISOString(),
+    end: new Date(base + HOUR).toISOString(),
+    durationMs: 10 * MINUTE
+  }]);
+
+  const whole = history.getHistory('pi-lobby', { from: base, to: base + 2 * HOUR });
+  assert.equal(whole.outages.length, 1);
+  assert.equal(whole.outages[0].durationMs, 20 * MINUTE);
+});
+
+test('an ongoing outage has no end and runs until now', () => {
+  const history = historyFor('pi-pool');
+  history.record('pi-pool', { up: false, at: base + 2 * HOUR });
+
+  const result = history.getHistory('pi-pool', { from: base, to: Date.now() + HOUR });
+  assert.equal(result.outages.length, 1);
+  assert.equal(result.outages[0].end, null);
+  assert.ok(result.outages[0].durationMs >= HOUR);
+  assert.ok(result.monitoredMs <= Date.now() - base);
+});
+
+test('latency percentiles come from the histogram, capped at the max seen', () => {
+  const history = historyFor('pi-lobby');
+  for (let ms = 1; ms <= 100; ms++) {
+    history.record('pi-lobby', { up: true, latencyMs: ms, at: base + ms * 1000 });
+  }
+  history.record('pi-lobby', { up: false, at: base + 200 * 1000 });
+
+  const { latency } = history.getHistory('pi-lobby', { from: base, to: base + HOUR, resolution: 'hour' });
+  assert.deepEqual(latency, { samples: 100, avg: 51, min: 1, p50: 50, p95: 100, p99: 100, max: 100 });
+
+  const steady = historyFor('pi-pool');
+  steady.record('pi-pool', { up: true, latencyMs: 30, at: base });
+  steady.record('pi-pool', { up: true, latencyMs: 30, at: base + 1000 });
+  const capped = steady.getHistory('pi-pool', { from: base, to: base + HOUR }).latency;
+  assert.equal(capped.p99, 30);
+
+  const silent = historyFor('pi-bar');
+  silent.record('pi-bar', { up: false, at: base });
+  assert.equal(silent.getHistory('pi-bar', { from: base, to: base + HOUR }).latency.p50, null);
+});
+
+test('resolution is picked from the span and day points merge hours', () => {
+  const history = historyFor('pi-lobby');
+  history.record('pi-lobby', { up: true, latencyMs: 20, at: base });
+  history.record('pi-lobby', { up: true, latencyMs: 20, at: base + HOUR });
+
+  assert.equal(history.getHistory('pi-lobby', { from: base, to: base + 6 * HOUR }).resolution, 'minute');
+  assert.equal(history.getHistory('pi-lobby', { from: base, to: base + 7 * HOUR }).resolution, 'hour');
+  const daily = history.getHistory('pi-lobby', { from: base - 20 * DAY, to: base + HOUR });
+  assert.equal(daily.resolution, 'day');
+  const day = Math.floor(base / DAY) * DAY;
+  const dayPoints = daily.points.filter(point => point.t === new Date(day).toISOString());
+  assert.equal(dayPoints.length, 1);
+  assert.ok(dayPoints[0].samples >= 1);
+  assert.equal(daily.points.reduce((total, point) => total + point.samples, 0), 2);
+
+  assert.throws(() => history.getHistory('pi-lobby', { from: base, to: base + HOUR, resolution: 'week' }), /Invalid resolution/);
+  assert.equal(history.getHistory('pi-unknown', { from: base, to: base + HOUR }), null);
+});
+
+test('history survives a restart and old minute buckets are pruned', async () => {
+  const history = historyFor('pi-lobby');
+  history.record('pi-lobby', { up: true, latencyMs: 20, at: base - 3 * DAY });
+  history.record('pi-lobby', { up: true, latencyMs: 20, at: base });
+  await history.saveHistory();
+
+  const reloaded = new PiHistory();
+  await reloaded.loadHistory();
+  const series = reloaded.getSeries('pi-lobby');
+  assert.equal(series.minutes.length, 2);
+
+  reloaded.prune();
+  assert.equal(series.minutes.length, 1);
+  assert.equal(series.hours.length, 2);
+});
@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+require('./setup');
+const { requestLogger, errorLogger, getRequestId } = require('../middleware/monitoring');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestLogger);
+  // The ID has to survive awaits, as it does on the way to a Pi call
+  app.get('/id', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    res.json({ reqId: req.id, contextId: getRequestId() });
+  });
+  app.get('/boom', () => {
+    throw new Error('ENOENT: /srv/music-proxy/pis.json');
+  });
+  app.use(express.json());
+  app.post('/json', (req, res) => res.json({ ok: true }));
+  app.use(errorLogger);
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('a valid incoming X-Request-Id is reused and echoed', async () => {
+  const response = await fetch(`${baseUrl}/id`, { headers: { 'X-Request-Id': 'frontend-1234.5:a' } });
+  const body = await response.json();
+
+  assert.equal(response.headers.get('x-request-id'), 'frontend-1234.5:a');
+  assert.deepEqual(body, { reqId: 'frontend-1234.5:a', contextId: 'frontend-1234.5:a' });
+});
+
+test('missing or unsafe IDs are replaced with a fresh one', async () => {
+  const ids = new Set();
+  for (const incoming of [undefined, 'has spaces', 'x'.repeat(129), '../../etc/passwd']) {
+    const headers = incoming ? { 'X-Request-Id': incoming } : {};
+    const response = await fetch(`${baseUrl}/id`, { headers });
+    const { reqId, contextId } = await response.json();
+
+    assert.match(reqId, /^[0-9a-f-]{36}$/);
+    assert.equal(contextId, reqId);
+    assert.equal(response.headers.get('x-request-id'), reqId);
+    ids.add(reqId);
+  }
+  assert.equal(ids.size, 4);
+  assert.equal(getRequestId(), null);
+});
+
+test('unexpected errors return a generic message with the request ID', async () => {
+  const response = await fetch(`${baseUrl}/boom`, { headers: { 'X-Request-Id': 'trace-boom' } });
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  assert.equal(body.error, 'Internal server error');
+  assert.equal(body.requestId, 'trace-boom');
+  assert.doesNotMatch(JSON.stringify(body), /pis\.json/);
+
+  // The details go to the error log under the same ID
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const entries = fs.readFileSync(path.join(process.env.LOG_DIR, 'error.log'), 'utf8')
+    .trim().split('\n').map(line => JSON.parse(line));
+  const entry = entries.find(line => line.event === 'request.error' && line.requestId === 'trace-boom');
+  assert.match(entry.error, /pis\.json/);
+});
+
+test('client errors keep their message', async () => {
+  const response = await fetch(`${baseUrl}/json`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"broken":'
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.notEqual(body.error, 'Internal server error');
+  assert.match(body.requestId, /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./setup');
+delete process.env.TAILSCALE_NETWORK_RANGE;
+
+const PIDiscovery = require('../pi-discovery');
+
+test('scanning needs an explicit range', async () => {
+  const discovery = new PIDiscovery();
+
+  assert.match(discovery.scanRangeError(), /Set TAILSCALE_NETWORK_RANGE/);
+  await assert.rejects(discovery.scanNetwork(), /Set TAILSCALE_NETWORK_RANGE/);
+});
+
+test('ranges larger than DISCOVERY_SCAN_MAX_HOSTS are refused', () => {
+  const discovery = new PIDiscovery();
+
+  discovery.tailscaleNetwork = '100.';
+  assert.match(discovery.scanRangeError(), /16777214 addresses/);
+  discovery.tailscaleNetwork = '100.64.0.0/10';
+  assert.match(discovery.scanRangeError(), /DISCOVERY_SCAN_MAX_HOSTS/);
+});
+
+test('a subnet-sized range can be scanned', () => {
+  const discovery = new PIDiscovery();
+
+  discovery.tailscaleNetwork = '100.104.127.0/24';
+  assert.equal(discovery.scanRangeError(), null);
+  discovery.tailscaleNetwork = '100.104.127.';
+  assert.equal(discovery.scanRangeError(), null);
+});
+
+test('malformed ranges are reported', () => {
+  const discovery = new PIDiscovery();
+
+  discovery.tailscaleNetwork = '100.104.127.0/40';
+  assert.match(discovery.scanRangeError(), /Invalid scan range/);
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+
+const Scheduler = require('../scheduler');
+
+const pis = new Map([['pi-lobby', { id: 'pi-lobby' }], ['pi-pool', { id: 'pi-pool' }]]);
+const groups = new Map([['group-all', { id: 'group-all', piIds: ['pi-lobby', 'pi-pool'] }]]);
+const piDiscovery = {
+  getPI: piId => pis.get(piId),
+  getGroup: groupId => groups.get(groupId)
+};
+
+function everyMinute(name, targets = { piIds: ['pi-lobby'] }) {
+  return { name, cron: '* * * * *', action: { command: 'play' }, targets };
+}
+
+let calls;
+let scheduler;
+
+beforeEach(async () => {
+  fs.rmSync(process.env.SCHEDULES_PATH, { force: true });
+  calls = [];
+  scheduler = new Scheduler({
+    piDiscovery,
+    proxyToPi: async (piId, endpoint) => {
+      calls.push({ piId, endpoint });
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 5));
+    }
+  });
+  await scheduler.loadSchedules();
+});
+
+test('rules running in the same tick leave a complete schedules file', async () => {
+  for (let i = 0; i < 20; i++) {
+    await scheduler.createRule(everyMinute(`Rule ${i}`, { groupIds: ['group-all'] }));
+  }
+
+  await scheduler.tick();
+
+  assert.equal(calls.length, 40);
+  const saved = JSON.parse(fs.readFileSync(process.env.SCHEDULES_PATH, 'utf8'));
+  assert.equal(Object.keys(saved.rules).length, 20);
+  assert.equal(saved.runs.length, 20);
+  assert.equal(fs.existsSync(`${process.env.SCHEDULES_PATH}.tmp`), false);
+});
+
+test('a corrupt schedules file is reported and left in place', async () => {
+  fs.writeFileSync(process.env.SCHEDULES_PATH, '{"rules": {');
+
+  await assert.rejects(scheduler.loadSchedules(), /Failed to parse schedules/);
+  assert.equal(fs.readFileSync(process.env.SCHEDULES_PATH, 'utf8'), '{"rules": {');
+});
+
+test('a missing schedules file starts empty', async () => {
+  await scheduler.loadSchedules();
+
+  assert.equal(scheduler.getAllRules().length, 0);
+});
+
+test('rules targeting unknown Pis or groups are rejected', async () => {
+  await assert.rejects(scheduler.createRule(everyMinute('Ghost', { piIds: ['pi-ghost'] })), /Unknown Pi IDs: pi-ghost/);
+  await assert.rejects(scheduler.createRule(everyMinute('Ghost', { groupIds: ['group-ghost'] })), /Unknown group IDs/);
+
+  const rule = await scheduler.createRule(everyMinute('Lobby'));
+  await assert.rejects(scheduler.updateRule(rule.id, { targets: { piIds: ['pi-ghost'] } }), /Unknown Pi IDs/);
+  assert.deepEqual(scheduler.getRule(rule.id).targets.piIds, ['pi-lobby']);
+});
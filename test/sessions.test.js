@@ -0,0 +1,106 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./setup');
+
+const {
+  handleLogin,
+  handleRefresh,
+  handleLogout,
+  authenticateToken,
+  revokeUserSessions,
+  hashPassword,
+  authStore
+} = require('../middleware/auth');
+
+const PASSWORD = 'long-enough-password';
+
+before(async () => {
+  await authStore.saveUser({
+    id: 'user-ops',
+    email: 'ops@resort.com',
+    name: 'Ops',
+    role: 'operator',
+    passwordHash: await hashPassword(PASSWORD)
+  });
+});
+
+async function login() {
+  const { status, body } = await invoke(handleLogin, { body: { email: 'ops@resort.com', password: PASSWORD } });
+  assert.equal(status, 200);
+  return body;
+}
+
+function authenticate(token) {
+  return invoke(authenticateToken, { headers: { authorization: `Bearer ${token}` } });
+}
+
+function refresh(refreshToken) {
+  return invoke(handleRefresh, { body: { refreshToken } });
+}
+
+test('login issues an access token for the account and a refresh token', async () => {
+  const { token, refreshToken, user } = await login();
+
+  assert.equal(user.role, 'operator');
+  assert.ok(refreshToken);
+  const { next, req } = await authenticate(token);
+  assert.equal(next, true);
+  assert.equal(req.user.id, 'user-ops');
+});
+
+test('a wrong password is rejected', async () => {
+  const { status } = await invoke(handleLogin, { body: { email: 'ops@resort.com', password: 'not-the-password' } });
+
+  assert.equal(status, 401);
+});
+
+test('refresh rotates the refresh token', async () => {
+  const { refreshToken } = await login();
+
+  const first = await refresh(refreshToken);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, refreshToken);
+  assert.equal((await authenticate(first.body.token)).next, true);
+
+  assert.equal((await refresh(refreshToken)).status, 401);
+  assert.equal((await refresh(first.body.refreshToken)).status, 200);
+});
+
+test('logout revokes the access token and its session', async () => {
+  const { token, refreshToken } = await login();
+
+  const { status } = await invoke(handleLogout, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(status, 200);
+
+  const denied = await authenticate(token);
+  assert.equal(denied.status, 403);
+  assert.match(denied.body.error, /revoked/);
+  assert.equal((await refresh(refreshToken)).status, 401);
+});
+
+test('revoking a user ends all of their sessions', async () => {
+  const sessions = [await login(), await login()];
+
+  assert.ok(await revokeUserSessions('user-ops') >= 2);
+
+  for (const { token, refreshToken } of sessions) {
+    assert.equal((await authenticate(token)).status, 403);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  }
+});
+
+test('a disabled account cannot use or refresh its tokens', async () => {
+  const { token, refreshToken } = await login();
+  const account = await authStore.getUserById('user-ops');
+  await authStore.saveUser({ ...account, disabled: true });
+
+  try {
+    const denied = await authenticate(token);
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /disabled/);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  } finally {
+    await authStore.saveUser({ ...account, disabled: false });
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * Shared test setup - require it before the modules under test.
+ * Every state file goes to a fresh temporary directory, and LOG_LEVEL keeps the
+ * modules' informational console lines out of the test output.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-proxy-test-'));
+
+const STATE_FILES = {
+  AUTH_DB_PATH: 'auth.json',
+  PIS_CONFIG_PATH: 'pis.json',
+  SCHEDULES_PATH: 'schedules.json',
+  HISTORY_PATH: 'history.json',
+  PASSTHROUGH_CONFIG_PATH: 'passthrough.json',
+  NOTIFY_OUTBOX_PATH: 'outbox.json',
+  PI_SECRETS_PATH: 'pi-secrets.json',
+  LOG_DIR: 'logs'
+};
+
+for (const [variable, file] of Object.entries(STATE_FILES)) {
+  process.env[variable] = path.join(tmpDir, file);
+}
+fs.mkdirSync(process.env.LOG_DIR);
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+require('../middleware/monitoring');
+
+// Run an Express handler or middleware against a stub request. Resolves with
+// { status, body } once it responds, or { next: true, req } if it passed the request on.
+function invoke(handler, req = {}) {
+  return new Promise((resolve, reject) => {
+    const request = { body: {}, params: {}, query: {}, headers: {}, ip: '127.0.0.1', ...req };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      json(body) { resolve({ status: this.statusCode, body }); return this; }
+    };
+    const next = error => (error ? reject(error) : resolve({ next: true, req: request }));
+    Promise.resolve(handler(request, res, next)).catch(reject);
+  });
+}
+
+module.exports = { tmpDir, invoke };
@@ -0,0 +1,117 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+require('./setup');
+
+const PiSigner = require('../pi-signing');
+const { HEADERS, verifyRequest } = require('../pi-verify');
+
+const user = { id: 'user-1', email: 'ops@resort.com', name: 'Ops', role: 'operator' };
+
+let signer;
+let secrets;
+
+beforeEach(async () => {
+  fs.rmSync(process.env.PI_SECRETS_PATH, { force: true });
+  signer = new PiSigner();
+  const key = await signer.rotate('pi-1');
+  secrets = { [key.keyId]: key.secret };
+});
+
+function signed({ method = 'POST', path: piPath = '/api/control/volume', body = '{"volume":30}' } = {}) {
+  return signer.headersFor('pi-1', { method, path: piPath, body, user });
+}
+
+test('a signed request verifies and carries the acting user', () => {
+  const headers = signed();
+  const result = verifyRequest({ method: 'POST', path: '/api/control/volume', headers, body: '{"volume":30}', secrets });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.user.email, 'ops@resort.com');
+  assert.equal(result.user.role, 'operator');
+});
+
+test('Pis without a secret get no signature headers', () => {
+  assert.deepEqual(signer.headersFor('pi-2', { method: 'GET', path: '/api/status' }), {});
+});
+
+test('a changed body, path, method or user fails verification', () => {
+  const headers = signed();
+  const base = { method: 'POST', path: '/api/control/volume', headers, body: '{"volume":30}', secrets };
+
+  assert.match(verifyRequest({ ...base, body: '{"volume":100}' }).error, /Body/);
+  assert.match(verifyRequest({ ...base, path: '/api/control/stop' }).error, /Invalid signature/);
+  assert.match(verifyRequest({ ...base, method: 'PUT' }).error, /Invalid signature/);
+
+  const otherUser = Buffer.from(JSON.stringify({ id: 'admin-1', role: 'admin' })).toString('base64url');
+  const forged = { ...headers, [HEADERS.user]: otherUser };
+  assert.match(verifyRequest({ ...base, headers: forged }).error, /Invalid signature/);
+});
+
+test('wrong secrets, unknown key ids and missing headers are rejected', () => {
+  const headers = signed();
+  const base = { method: 'POST', path: '/api/control/volume', headers, body: '{"volume":30}' };
+
+  const keyId = headers[HEADERS.keyId];
+  assert.match(verifyRequest({ ...base, secrets: { [keyId]: 'not-the-secret' } }).error, /Invalid signature/);
+  assert.match(verifyRequest({ ...base, secrets: { 'k-other': 'x' } }).error, /Unknown key id/);
+  assert.match(verifyRequest({ ...base, headers: {}, secrets }).error, /Missing/);
+});
+
+test('stale timestamps and replayed nonces are rejected', () => {
+  const headers = signed({ method: 'GET', path: '/api/status', body: '' });
+  const base = { method: 'GET', path: '/api/status', headers, body: '', secrets };
+
+  const seenNonces = new Map();
+  assert.equal(verifyRequest({ ...base, seenNonces }).valid, true);
+  assert.match(verifyRequest({ ...base, seenNonces }).error, /Replayed/);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 10 * 60 * 1000;
+  try {
+    assert.match(verifyRequest(base).error, /Timestamp/);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('streamed bodies are signed as UNSIGNED-PAYLOAD', () => {
+  const headers = signer.headersFor('pi-1', { method: 'POST', path: '/api/music/upload', body: null, user });
+
+  assert.equal(headers[HEADERS.contentSha256], 'UNSIGNED-PAYLOAD');
+  assert.equal(verifyRequest({ method: 'POST', path: '/api/music/upload', headers, body: 'anything', secrets }).valid, true);
+});
+
+test('a staged key is only used after activation', async () => {
+  const activeKeyId = Object.keys(secrets)[0];
+  const next = await signer.rotate('pi-1');
+
+  assert.equal(next.status, 'staged');
+  assert.equal(signed()[HEADERS.keyId], activeKeyId);
+
+  const result = await signer.activate('pi-1');
+  assert.equal(result.retiredKeyId, activeKeyId);
+  assert.equal(signed()[HEADERS.keyId], next.keyId);
+  assert.equal(
+    verifyRequest({ method: 'POST', path: '/api/control/volume', headers: signed(), body: '{"volume":30}', secrets: { [next.keyId]: next.secret } }).valid,
+    true
+  );
+});
+
+test('secrets survive a restart and the file is owner-only', async () => {
+  const reloaded = new PiSigner();
+  await reloaded.ready;
+
+  assert.equal(reloaded.describe('pi-1').enabled, true);
+  assert.equal(fs.statSync(process.env.PI_SECRETS_PATH).mode & 0o777, 0o600);
+});
+
+test('a corrupt secrets file is reported and never overwritten', async () => {
+  fs.writeFileSync(process.env.PI_SECRETS_PATH, '{"pis": {"pi-1": ');
+  const broken = new PiSigner();
+
+  await assert.rejects(broken.ready, /Failed to parse signing secrets/);
+  await assert.rejects(broken.rotate('pi-1'), /Failed to parse signing secrets/);
+  assert.equal(fs.readFileSync(process.env.PI_SECRETS_PATH, 'utf8'), '{"pis": {"pi-1": ');
+});
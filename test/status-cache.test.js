@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./setup');
+const StatusCache = require('../status-cache');
+
+// A fetcher whose calls stay pending until the test resolves them
+function deferredFetcher() {
+  const calls = [];
+  const fetcher = () => new Promise((resolve, reject) => calls.push({ resolve, reject }));
+  return { fetcher, calls };
+}
+
+test('concurrent callers share one upstream request', async () => {
+  const cache = new StatusCache({ ttl: 1000 });
+  const { fetcher, calls } = deferredFetcher();
+
+  const first = cache.get('pi-lobby', fetcher);
+  const second = cache.get('pi-lobby', fetcher);
+  assert.equal(calls.length, 1);
+
+  calls[0].resolve({ state: 'playing' });
+  const results = await Promise.all([first, second]);
+  assert.deepEqual(results.map(result => [result.data.state, result.cached]), [['playing', false], ['playing', false]]);
+
+  const cached = await cache.get('pi-lobby', fetcher);
+  assert.equal(cached.cached, true);
+  assert.equal(calls.length, 1);
+});
+
+test('entries expire after the TTL', async () => {
+  const cache = new StatusCache({ ttl: 20 });
+  let fetches = 0;
+  const fetcher = async () => ({ fetch: ++fetches });
+
+  await cache.get('pi-lobby', fetcher);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  const { data, cached } = await cache.get('pi-lobby', fetcher);
+  assert.equal(cached, false);
+  assert.equal(data.fetch, 2);
+});
+
+test('invalidating during a fetch keeps its result out of the cache', async () => {
+  const cache = new StatusCache({ ttl: 1000 });
+  const { fetcher, calls } = deferredFetcher();
+
+  const stale = cache.get('pi-lobby', fetcher);
+  cache.invalidate('pi-lobby');
+
+  // A caller after the invalidation must not join the stale request
+  const fresh = cache.get('pi-lobby', fetcher);
+  assert.equal(calls.length, 2);
+
+  calls[0].resolve({ state: 'paused' });
+  calls[1].resolve({ state: 'playing' });
+  assert.equal((await stale).data.state, 'paused');
+  assert.equal((await fresh).data.state, 'playing');
+
+  const cached = await cache.get('pi-lobby', fetcher);
+  assert.equal(cached.cached, true);
+  assert.equal(cached.data.state, 'playing');
+});
+
+test('a stale fetch finishing last does not overwrite the fresh entry', async () => {
+  const cache = new StatusCache({ ttl: 1000 });
+  const { fetcher, calls } = deferredFetcher();
+
+  const stale = cache.get('pi-lobby', fetcher);
+  cache.invalidate('pi-lobby');
+  const fresh = cache.get('pi-lobby', fetcher);
+
+  calls[1].resolve({ state: 'playing' });
+  await fresh;
+  calls[0].resolve({ state: 'paused' });
+  await stale;
+
+  assert.equal((await cache.get('pi-lobby', fetcher)).data.state, 'playing');
+});
+
+test('failed fetches are not cached and the next caller retries', async () => {
+  const cache = new StatusCache({ ttl: 1000 });
+  const { fetcher, calls } = deferredFetcher();
+
+  const failed = cache.get('pi-lobby', fetcher);
+  calls[0].reject(new Error('timeout'));
+  await assert.rejects(failed, /timeout/);
+
+  const retry = cache.get('pi-lobby', fetcher);
+  assert.equal(calls.length, 2);
+  calls[1].resolve({ state: 'stopped' });
+  assert.equal((await retry).cached, false);
+});
+
+test('entries are kept per Pi', async () => {
+  const cache = new StatusCache({ ttl: 1000 });
+  await cache.get('pi-lobby', async () => ({ state: 'playing' }));
+  cache.invalidate('pi-pool');
+  assert.equal((await cache.get('pi-lobby', async () => ({ state: 'stopped' }))).cached, true);
+});
@@ -0,0 +1,134 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { tmpDir } = require('./setup');
+process.env.TAILSCALE_STATUS_FILE = path.join(tmpDir, 'tailscale-status.json');
+process.env.TAILSCALE_TAGS = 'tag:music-player, tag:jukebox';
+process.env.TAILSCALE_HOSTNAME_PATTERN = '^music-';
+delete process.env.DISCOVERY_AUTO_APPROVE;
+
+const PIDiscovery = require('../pi-discovery');
+
+const player = (hostname, ip, fields = {}) => ({
+  HostName: hostname,
+  DNSName: `${hostname}.tailnet-1234.ts.net.`,
+  OS: 'linux',
+  TailscaleIPs: [ip, 'fd7a:115c:a1e0::1'],
+  Tags: [],
+  Online: true,
+  LastSeen: '0001-01-01T00:00:00Z',
+  ...fields
+});
+
+function writeStatus(peers) {
+  const Peer = Object.fromEntries(peers.map((peer, i) => [`nodekey:${i}`, peer]));
+  fs.writeFileSync(process.env.TAILSCALE_STATUS_FILE, JSON.stringify({ Self: { HostName: 'proxy' }, Peer }));
+}
+
+// Discovery whose health probe answers as a music player for the given addresses
+async function discoveryWithPlayers(players = {}) {
+  const discovery = new PIDiscovery();
+  await discovery.ready;
+  discovery.probed = [];
+  discovery.probe = async ip => {
+    discovery.probed.push(ip);
+    return ip in players ? { health: { pi_name: players[ip], pi_location: 'Lobby' }, latencyMs: 12 } : null;
+  };
+  return discovery;
+}
+
+beforeEach(() => {
+  fs.rmSync(process.env.PIS_CONFIG_PATH, { force: true });
+});
+
+test('peers are matched by tag or hostname pattern', async () => {
+  writeStatus([
+    player('lobby-speaker', '100.104.127.10', { Tags: ['tag:music-player'] }),
+    player('bar-box', '100.104.127.11', { Tags: ['tag:jukebox'] }),
+    player('Music-Pool', '100.104.127.12'),
+    player('office-laptop', '100.104.127.13', { Tags: ['tag:staff'] })
+  ]);
+  const discovery = await discoveryWithPlayers();
+
+  const result = await discovery.syncTailscalePeers();
+  assert.equal(result.peers, 3);
+  assert.deepEqual(discovery.probed, ['100.104.127.10', '100.104.127.11', '100.104.127.12']);
+});
+
+test('new players are held for approval under a hostname-based ID', async () => {
+  writeStatus([
+    player('Lobby Speaker!', '100.104.127.10', { Tags: ['tag:music-player'] }),
+    player('music-pool', '100.104.127.12', { DNSName: '' }),
+    player('music-printer', '100.104.127.13')
+  ]);
+  const discovery = await discoveryWithPlayers({ '100.104.127.10': 'Lobby', '100.104.127.12': '' });
+
+  const { added } = await discovery.syncTailscalePeers();
+  assert.deepEqual(added.map(pi => [pi.id, pi.name, pi.status, pi.source]), [
+    ['pi-lobby-speaker', 'Lobby', 'pending', 'tailscale'],
+    ['pi-music-pool', 'music-pool', 'pending', 'tailscale']
+  ]);
+  assert.deepEqual(added[0].tailscale, {
+    hostname: 'Lobby Speaker!',
+    dnsName: 'Lobby Speaker!.tailnet-1234.ts.net',
+    os: 'linux',
+    tags: ['tag:music-player'],
+    online: true,
+    lastSeen: added[0].tailscale.lastSeen
+  });
+  assert.equal(added[1].tailscale.dnsName, null);
+  assert.equal(discovery.getPendingPIs().length, 2);
+  assert.deepEqual(discovery.lastTailscaleSync.added, ['pi-lobby-speaker', 'pi-music-pool']);
+});
+
+test('offline, ignored and IPv6-only peers are not probed', async () => {
+  writeStatus([
+    player('music-lobby', '100.104.127.10', { Online: false, LastSeen: '2026-10-01T08:00:00Z' }),
+    player('music-bar', '100.104.127.11'),
+    player('music-pool', 'fd7a:115c:a1e0::5', { TailscaleIPs: ['fd7a:115c:a1e0::5'] })
+  ]);
+  const discovery = await discoveryWithPlayers({ '100.104.127.10': 'Lobby', '100.104.127.11': 'Bar' });
+  discovery.ignored.set('100.104.127.11', { ip: '100.104.127.11', name: 'Bar' });
+
+  const result = await discovery.syncTailscalePeers();
+  assert.deepEqual(discovery.probed, []);
+  assert.deepEqual(result.added, []);
+});
+
+test('known Pis are refreshed without probing', async () => {
+  writeStatus([
+    player('music-lobby', '100.104.127.10', { Online: false, LastSeen: '2026-10-01T08:00:00Z' })
+  ]);
+  const discovery = await discoveryWithPlayers();
+  discovery.pis.set('pi-1', { id: 'pi-1', ip: '100.104.127.10', name: 'Music Player (100.104.127.10)' });
+
+  const result = await discovery.syncTailscalePeers();
+  assert.deepEqual(result.updated, ['pi-1']);
+  assert.deepEqual(discovery.probed, []);
+
+  const pi = discovery.pis.get('pi-1');
+  assert.equal(pi.name, 'music-lobby');
+  assert.equal(pi.tailscale.online, false);
+  assert.equal(pi.tailscale.lastSeen, '2026-10-01T08:00:00.000Z');
+
+  const saved = JSON.parse(fs.readFileSync(process.env.PIS_CONFIG_PATH, 'utf8'));
+  assert.equal(saved.pis['pi-1'].tailscale.hostname, 'music-lobby');
+});
+
+test('a named Pi keeps its name and zero last-seen times are dropped', async () => {
+  writeStatus([player('music-lobby', '100.104.127.10', { Online: false })]);
+  const discovery = await discoveryWithPlayers();
+  discovery.pis.set('pi-1', { id: 'pi-1', ip: '100.104.127.10', name: 'Lobby' });
+
+  await discovery.syncTailscalePeers();
+  assert.equal(discovery.pis.get('pi-1').name, 'Lobby');
+  assert.equal(discovery.pis.get('pi-1').tailscale.lastSeen, null);
+});
+
+test('an unreadable status is reported', async () => {
+  fs.writeFileSync(process.env.TAILSCALE_STATUS_FILE, '{"Peer":');
+  const discovery = await discoveryWithPlayers();
+  await assert.rejects(discovery.syncTailscalePeers(), SyntaxError);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PassThrough } = require('stream');
+
+require('./setup');
+process.env.MAX_UPLOAD_BYTES = '4096';
+process.env.UPLOAD_ALLOWED_EXTENSIONS = '.mp3, .FLAC';
+
+const { streamUpload, validateFile, UploadError } = require('../middleware/upload');
+
+// Stands in for the Pis: records every completed upload, and fails anything under /broken
+const received = [];
+let receiver;
+let port;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', () => {});
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+      const failed = req.url.startsWith('/broken');
+      res.writeHead(failed ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(failed ? { error: 'Disk full' } : { success: true }));
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  port = receiver.address().port;
+});
+
+after(() => receiver.close());
+
+const BOUNDARY = 'test-boundary';
+
+function multipart(filename, content, mimeType = 'audio/mpeg') {
+  return `--${BOUNDARY}\r\n`
+    + `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n`
+    + `Content-Type: ${mimeType}\r\n\r\n`
+    + `${content}\r\n--${BOUNDARY}--\r\n`;
+}
+
+// Client request stub: the body is written in small chunks once the upload is listening
+function upload(body, pis, headers = {}) {
+  const req = new PassThrough();
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, ...headers };
+  req.id = 'req-upload-test';
+  const result = streamUpload(req, pis);
+  for (let i = 0; i < body.length; i += 512) {
+    req.write(body.slice(i, i + 512));
+  }
+  req.end();
+  return result;
+}
+
+const pi = (id, basePath = '') => ({ id, name: id, host: '127.0.0.1', port, basePath });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('files are validated by extension and content type', () => {
+  assert.equal(validateFile('Morning Jazz.MP3', 'audio/mpeg'), null);
+  assert.equal(validateFile('ambient.flac', 'application/octet-stream'), null);
+  assert.match(validateFile('ambient.wav', 'audio/wav'), /Unsupported file type "\.wav"/);
+  assert.match(validateFile('playlist', 'audio/mpeg'), /Unsupported file type "playlist"/);
+  assert.match(validateFile('song.mp3', 'text/html'), /Unsupported content type/);
+});
+
+test('the upload is streamed unchanged to every Pi', async () => {
+  received.length = 0;
+  const body = multipart('lobby.mp3', 'x'.repeat(3000));
+
+  const { uploadId, file, results } = await upload(body, [pi('pi-lobby'), pi('pi-pool')], { 'x-upload-id': 'up/42!' });
+
+  assert.equal(uploadId, 'up42');
+  assert.equal(file.filename, 'lobby.mp3');
+  assert.equal(file.size, 3000);
+  assert.deepEqual(results.map(result => [result.piId, result.success]), [['pi-lobby', true], ['pi-pool', true]]);
+  assert.equal(received.length, 2);
+  for (const request of received) {
+    assert.equal(request.path, '/api/music/upload');
+    assert.equal(request.body, body);
+    assert.equal(request.headers['x-request-id'], 'req-upload-test');
+  }
+});
+
+test('a failing Pi is reported without failing the others', async () => {
+  received.length = 0;
+  const { results } = await upload(multipart('lobby.mp3', 'audio'), [pi('pi-lobby'), pi('pi-pool', '/broken')]);
+
+  assert.deepEqual(results.map(result => [result.piId, result.success, result.error]), [
+    ['pi-lobby', true, undefined],
+    ['pi-pool', false, 'Disk full']
+  ]);
+});
+
+test('rejected files never reach a Pi', async () => {
+  received.length = 0;
+
+  const wrongType = await upload(multipart('notes.txt', 'hello', 'text/plain'), [pi('pi-lobby')]).catch(error => error);
+  assert.ok(wrongType instanceof UploadError);
+  assert.equal(wrongType.statusCode, 415);
+
+  const tooLarge = await upload(multipart('long.mp3', 'x'.repeat(5000)), [pi('pi-lobby')]).catch(error => error);
+  assert.equal(tooLarge.statusCode, 413);
+
+  await wait(50);
+  assert.equal(received.length, 0);
+});
+
+test('oversized and malformed requests are refused up front', async () => {
+  const declared = await upload('', [pi('pi-lobby')], { 'content-length': String(1024 * 1024) }).catch(error => error);
+  assert.equal(declared.statusCode, 413);
+
+  const notMultipart = await upload('{}', [pi('pi-lobby')], { 'content-type': 'application/json' }).catch(error => error);
+  assert.equal(notMultipart.statusCode, 400);
+
+  const noFile = `--${BOUNDARY}\r\nContent-Disposition: form-data; name="title"\r\n\r\nLobby\r\n--${BOUNDARY}--\r\n`;
+  const missing = await upload(noFile, [pi('pi-lobby')]).catch(error => error);
+  assert.equal(missing.statusCode, 400);
+  assert.match(missing.message, /No file found/);
+});